@@ -9,6 +9,7 @@
 // GAME TYPE - Change this to switch game genre
 // ============================================
 // Options: 'maze', 'runner', 'shooter', 'strategy'
+// (the default genre; players can switch genre from the title screen)
 const GAME_TYPE = 'shooter';
 
 // ============================================
@@ -63,7 +64,9 @@ const DIFFICULTY = {
         playerLives: 5,
         enemySpeed: 50,
         enemyDamage: 10,
-        enemyCount: 4
+        enemyCount: 4,
+        spawnRateMultiplier: 1.3,    // scales SHOOTER_CONFIG.enemySpawnRate (lower = faster)
+        enemySpeedMultiplier: 0.8    // scales per-level enemySpeed
     },
     normal: {
         playerSpeed: 200,
@@ -71,7 +74,9 @@ const DIFFICULTY = {
         playerLives: 3,
         enemySpeed: 70,
         enemyDamage: 20,
-        enemyCount: 6
+        enemyCount: 6,
+        spawnRateMultiplier: 1.0,
+        enemySpeedMultiplier: 1.0
     },
     hard: {
         playerSpeed: 180,
@@ -79,13 +84,44 @@ const DIFFICULTY = {
         playerLives: 2,
         enemySpeed: 100,
         enemyDamage: 30,
-        enemyCount: 10
+        enemyCount: 10,
+        spawnRateMultiplier: 0.7,
+        enemySpeedMultiplier: 1.3
     }
 };
 
-// Current difficulty
+// Default difficulty (players can pick another from the menu, the pause
+// overlay or a ?difficulty=easy|normal|hard URL parameter; the choice is saved)
 const CURRENT_DIFFICULTY = 'normal';
 
+// Adaptive difficulty (optional, toggled from the menu): the shooter watches
+// damage taken, accuracy, deaths and clear time and nudges spawn rate, enemy
+// speed and power-up frequency by a scale factor kept within these bounds
+const ADAPTIVE_DIFFICULTY = {
+    enabled: false,             // default for the menu toggle
+    minScale: 0.7,              // easiest the game can get (x0.7)
+    maxScale: 1.4,              // hardest the game can get (x1.4)
+    maxStep: 0.05,              // largest change per evaluation
+    evaluateInterval: 5000,     // ms between evaluations
+    targetAccuracy: 0.3,        // hits / shots considered "on par"
+    targetClearTime: 60000,     // ms per level considered "on par"
+    showInHud: true             // show the current scale for tuning
+};
+
+// Daily challenge (shooter only): a seed from the UTC date, one modifier set
+// drawn from it, a fixed difficulty and a limited number of attempts per day
+// (server.js also accepts only that many entries per address). Reordering modifierSets changes which set a given day gets.
+const DAILY_CHALLENGE = {
+    difficulty: 'normal',
+    attempts: 1,
+    modifierSets: [
+        { name: 'Double Hazards', description: 'Twice as many hazards', hazardMultiplier: 2 },
+        { name: 'No Power-ups', description: 'Power-ups never spawn', powerups: false },
+        { name: 'Fast Enemies', description: 'Enemies are faster and spawn sooner', enemySpeedMultiplier: 1.5, spawnRateMultiplier: 0.75 },
+        { name: 'Minefield', description: 'Twice the hazards, no power-ups', hazardMultiplier: 2, powerups: false }
+    ]
+};
+
 // ============================================
 // GAME-SPECIFIC SETTINGS
 // ============================================
@@ -94,25 +130,89 @@ const CURRENT_DIFFICULTY = 'normal';
 const MAZE_CONFIG = {
     tileSize: 32,
     collectibleScale: 0.15,
+    // Level collectibles pick one of these by `type` (defaults to COIN)
     collectibles: [
-        { name: "COIN", title: "Gold Coin", desc: "Shiny gold coin worth 100 points!" },
-        { name: "GEM", title: "Crystal Gem", desc: "A precious gem worth 500 points!" },
-        { name: "KEY", title: "Magic Key", desc: "Opens secret passages!" },
-        { name: "STAR", title: "Power Star", desc: "Grants temporary invincibility!" },
-        { name: "HEART", title: "Health Heart", desc: "Restores 25 health points!" },
-        { name: "CHEST", title: "Treasure Chest", desc: "Contains bonus rewards!" }
-    ]
+        { name: "COIN", title: "Gold Coin", desc: "Shiny gold coin worth 100 points!", points: 100 },
+        { name: "GEM", title: "Crystal Gem", desc: "A precious gem worth 500 points!", points: 500 },
+        { name: "KEY", title: "Magic Key", desc: "Opens secret passages!", points: 50 },
+        { name: "STAR", title: "Power Star", desc: "Grants temporary invincibility!", points: 100, duration: 8000 },
+        { name: "HEART", title: "Health Heart", desc: "Restores 25 health points!", points: 50, heal: 25 },
+        { name: "CHEST", title: "Treasure Chest", desc: "Contains bonus rewards!", points: 300, extraLives: 1 }
+    ],
+    // Enemy AI (per-enemy sightRange in LEVELS.maze overrides the default)
+    ai: {
+        sightRange: 7,              // tiles
+        loseSightTime: 2500,        // ms without line of sight before giving up the chase
+        repathInterval: 400,        // ms between path recalculations while chasing
+        chaseSpeedMultiplier: 1.3
+    },
+    // Endless random-maze mode: levels are generated from a seed instead of LEVELS.maze.
+    // Players start it from the maze level select (RANDOM MAZE, or SEED... to
+    // enter one); enabled forces it for every maze run. Set seed to replay a
+    // specific layout (null = the run's seed).
+    generator: {
+        enabled: false,
+        seed: null,
+        cols: 8,                    // maze cells (each cell is 3 tiles incl. wall)
+        rows: 6,
+        maxCols: 16,
+        maxRows: 12,
+        collectibles: 4,            // +1 per level
+        enemies: 2,                 // +1 per level, capped by difficulty enemyCount
+        loopFactor: 0.1             // share of extra walls removed to create loops
+    }
 };
 
 // RUNNER GAME SETTINGS
 const RUNNER_CONFIG = {
     gravity: 800,
     jumpForce: -400,
+    jumpHoldTime: 200,          // ms the jump key can be held to keep rising (variable height)
+    doubleJumpForce: -360,
+    maxJumps: 2,                // 2 = double jump
+    slideScale: 0.5,            // player height while sliding (hitbox shrinks with it)
+    overheadChance: 0.3,        // share of obstacles that hang overhead and must be slid under
     groundSpeed: 300,
-    speedIncrease: 10,          // Speed increase per second
+    speedIncrease: 10,          // Speed ramp: 0.001 x this per 60 Hz frame (0.6 px/s gained each second)
     maxSpeed: 600,
     obstacleFrequency: 1500,    // ms between obstacles
-    coinFrequency: 800          // ms between coins
+    coinFrequency: 800,         // ms between coins
+    pixelsPerMeter: 50,         // scroll distance that counts as one meter
+    checkpointInterval: 100,    // meters between respawn checkpoints
+    respawnGrace: 1500,         // ms of invulnerability after respawning
+
+    // Visual themes referenced by LEVELS.runner[].theme
+    // layers: back to front; speed is the parallax factor relative to the ground
+    // obstacles: crate | rock | log | cactus | crystal
+    themes: {
+        forest: {
+            sky: ['#87ceeb', '#e0f6ff'],
+            layers: [
+                { style: 'hills', color: '#6a9f6a', height: 260, speed: 0.1 },
+                { style: 'trees', color: '#3d7a3d', height: 200, speed: 0.3 },
+                { style: 'trees', color: '#24502a', height: 140, speed: 0.6 }
+            ],
+            obstacles: ['crate', 'rock', 'log']
+        },
+        desert: {
+            sky: ['#f4a261', '#ffe8b0'],
+            layers: [
+                { style: 'mesas', color: '#c9804a', height: 240, speed: 0.1 },
+                { style: 'hills', color: '#d9b77a', height: 160, speed: 0.3 },
+                { style: 'cacti', color: '#5b7f3a', height: 120, speed: 0.6 }
+            ],
+            obstacles: ['cactus', 'rock', 'crate']
+        },
+        space: {
+            sky: ['#05070f', '#1a1a3e'],
+            layers: [
+                { style: 'stars', color: '#e5f6ff', height: 550, speed: 0.05 },
+                { style: 'ridge', color: '#2e2a5a', height: 220, speed: 0.2 },
+                { style: 'ridge', color: '#3d3575', height: 140, speed: 0.5 }
+            ],
+            obstacles: ['crystal', 'rock']
+        }
+    }
 };
 
 // SHOOTER GAME SETTINGS
@@ -121,7 +221,47 @@ const SHOOTER_CONFIG = {
     bulletDamage: 25,
     fireRate: 150,              // ms between shots
     enemySpawnRate: 1400,       // ms between enemy spawns
-    powerUpChance: 0.1          // 10% chance to drop power-up
+    ufoChance: 0.2,             // chance a spawn is a UFO
+    hazardChance: 0.4,          // chance a hazard spawns alongside an enemy
+    powerups: true,             // periodic power-ups (a daily modifier can turn them off)
+    powerUpChance: 0.1,         // 10% chance to drop power-up
+
+    // Who shoots back, with which ENEMY_PATTERNS entry and how often (ms).
+    // `chance` is the share of regular enemies that are armed. A level can
+    // override any role with its own enemyFire block (null = holds fire)
+    enemyFire: {
+        enemy: { pattern: 'aimed', interval: 3200, chance: 0.25 },
+        ufo: { pattern: 'spread', interval: 2500 },
+        boss: { pattern: 'spiral', interval: 800 }
+    }
+};
+
+// ENEMY PROJECTILE PATTERNS (shooter)
+//   aimed  - `count` shots fanned over `spread` degrees towards the player
+//   spread - `count` shots fanned over `spread` degrees straight down
+//   spiral - a ring of `count` shots, turned `turn` degrees each volley
+//   laser  - a beam shown as a warning line for `warning` ms, then sweeping
+//            `sweep` degrees across the screen over `duration` ms
+const ENEMY_PATTERNS = {
+    aimed: { type: 'aimed', count: 1, spread: 0, speed: 220, damage: 10 },
+    spread: { type: 'spread', count: 5, spread: 70, speed: 170, damage: 10 },
+    spiral: { type: 'spiral', count: 8, turn: 12, speed: 140, damage: 15 },
+    laser: { type: 'laser', warning: 700, duration: 1400, sweep: 70, length: 700, width: 10, damage: 25 }
+};
+
+// WAVE ENTRY PATHS (shooter waves)
+//   straight - fly down at the level's enemy speed
+//   sine     - fly down weaving `amplitude` px either side every `period` ms
+//   dive     - fly down to `holdY`, hover for `hold` ms, then dive at the
+//              player at `speed`
+//   bezier   - follow a cubic curve through `points` over `duration` ms
+//              (formation offsets shift the curve), leaving at its end
+const WAVE_PATHS = {
+    straight: { type: 'straight' },
+    sine: { type: 'sine', amplitude: 70, period: 2200 },
+    dive: { type: 'dive', holdY: 140, hold: 900, speed: 320 },
+    swoopLeft: { type: 'bezier', duration: 5000, points: [[720, -40], [760, 460], [40, 460], [80, -60]] },
+    swoopRight: { type: 'bezier', duration: 5000, points: [[80, -40], [40, 460], [760, 460], [720, -60]] }
 };
 
 // STRATEGY GAME SETTINGS
@@ -135,6 +275,24 @@ const STRATEGY_CONFIG = {
     enemiesPerWave: 5
 };
 
+// ============================================
+// VISUAL EFFECTS
+// ============================================
+// Explosions play SpriteGenerator's explosion frames. Particle `count`s (and
+// the thruster's rate) are for 'high'; the quality picked in the pause menu
+// scales them. Low-end devices (few cores or little memory) start on 'low'
+const EFFECTS_CONFIG = {
+    quality: 'high',
+    qualityLevels: { high: 1, medium: 0.5, low: 0.25, off: 0 },
+    explosion: { size: 64, frames: 6, frameRate: 20 },
+    particles: {
+        thruster: { frequency: 25, lifespan: 300, speedX: { min: -15, max: 15 }, speedY: { min: 90, max: 160 }, scale: { start: 0.9, end: 0 }, tint: [0x00e5ff, 0x8b5cf6], blendMode: 'ADD' },
+        impact: { count: 6, lifespan: 250, speed: { min: 60, max: 160 }, scale: { start: 0.6, end: 0 }, tint: 0xffd700, blendMode: 'ADD' },
+        debris: { count: 14, lifespan: 700, speed: { min: 40, max: 180 }, scale: { start: 1, end: 0.2 }, alpha: { start: 1, end: 0 }, tint: [0x8b7355, 0x6b5a45, 0xa0a0a0] },
+        pickup: { count: 16, lifespan: 500, speed: { min: 80, max: 200 }, scale: { start: 0.8, end: 0 }, tint: [0x22c55e, 0x00e5ff, 0xffd700], blendMode: 'ADD' }
+    }
+};
+
 // ============================================
 // AUDIO CONFIGURATION
 // ============================================
@@ -163,6 +321,28 @@ const AUDIO_CONFIG = {
     sfxVolume: 1.0
 };
 
+// ============================================
+// CONCEPTS
+// ============================================
+// Short definitions for the concepts each shooter level lists. Kills pop them
+// up and the first sighting unlocks the entry in the in-game codex
+const CONCEPTS = {
+    'Superposition': 'A qubit can hold a blend of 0 and 1 at once until it is measured.',
+    'Wavefunction': 'The mathematical description of a quantum state; its squared size gives measurement odds.',
+    'Interference': 'Probability amplitudes add or cancel, steering quantum algorithms toward right answers.',
+    'Qubits': 'The basic unit of quantum information, like a bit that can be in superposition.',
+    'MCP': 'Model Context Protocol: a standard way to connect AI models to tools and data sources.',
+    'A2A': 'Agent-to-Agent: a protocol that lets independent AI agents discover each other and collaborate.',
+    'LLM Reasoning': 'Large language models working through problems step by step before answering.',
+    'Context Engineering': 'Choosing what information goes into a model\'s context so it can do the task well.',
+    'Multi-Agent': 'Several specialised AI agents working together, each handling part of a problem.',
+    'Entanglement': 'Linked qubits whose measurement results stay correlated however far apart they are.',
+    'Quantum Tunneling': 'A particle crossing an energy barrier it classically could not get over.',
+    'Decoherence': 'Interaction with the environment destroying a fragile quantum state.',
+    'Agent Orchestration': 'Coordinating multiple agents: routing tasks, sharing state and combining results.',
+    'Planning': 'An agent breaking a goal into ordered steps before acting on them.'
+};
+
 // ============================================
 // LEVEL DEFINITIONS
 // ============================================
@@ -174,22 +354,36 @@ const LEVELS = {
             mapWidth: 40,
             mapHeight: 30,
             enemyCount: 4,
-            collectibleCount: 5,
+            collectibleCount: 6,
             walls: [
                 { x: 10, y: 2, w: 1, h: 10 },
                 { x: 20, y: 8, w: 1, h: 12 },
                 { x: 30, y: 2, w: 1, h: 15 },
                 { x: 5, y: 12, w: 12, h: 1 },
-                { x: 15, y: 20, w: 15, h: 1 }
+                { x: 15, y: 20, w: 15, h: 1 },
+                // Treasure vault
+                { x: 32, y: 22, w: 1, h: 7 },
+                { x: 32, y: 22, w: 3, h: 1 },
+                { x: 37, y: 22, w: 2, h: 1 }
             ],
+            // Wall segments that vanish once a KEY is collected
+            gates: [
+                { x: 35, y: 22, w: 2, h: 1 }
+            ],
+            // patrol: tile waypoints walked in a loop; sightRange in tiles (optional)
             enemies: [
-                { x: 15, y: 8 }, { x: 25, y: 15 },
-                { x: 10, y: 22 }, { x: 35, y: 10 }
+                { x: 15, y: 8, patrol: [{ x: 15, y: 3 }, { x: 25, y: 3 }] },
+                { x: 25, y: 15, patrol: [{ x: 25, y: 5 }] },
+                { x: 10, y: 22, patrol: [{ x: 4, y: 24 }, { x: 14, y: 24 }] },
+                { x: 35, y: 10, patrol: [{ x: 34, y: 15 }, { x: 34, y: 6 }], sightRange: 10 }
             ],
             collectibles: [
-                { x: 5, y: 5 }, { x: 18, y: 10 },
-                { x: 8, y: 20 }, { x: 28, y: 8 }, { x: 35, y: 25 }
-            ]
+                { x: 5, y: 5 }, { x: 18, y: 10, type: 'KEY' },
+                { x: 8, y: 20, type: 'HEART' }, { x: 28, y: 8, type: 'GEM' },
+                { x: 24, y: 25, type: 'STAR' }, { x: 35, y: 25, type: 'CHEST' }
+            ],
+            exit: { x: 36, y: 4 },
+            parTime: 90                 // seconds; finishing faster earns a bonus
         },
         {
             name: "The Labyrinth",
@@ -205,28 +399,42 @@ const LEVELS = {
                 { x: 2, y: 10, w: 8, h: 1 },
                 { x: 15, y: 12, w: 8, h: 1 },
                 { x: 2, y: 22, w: 10, h: 1 },
-                { x: 28, y: 18, w: 8, h: 1 }
+                { x: 28, y: 18, w: 8, h: 1 },
+                // Treasure vault
+                { x: 42, y: 32, w: 1, h: 7 },
+                { x: 42, y: 32, w: 3, h: 1 },
+                { x: 47, y: 32, w: 2, h: 1 }
+            ],
+            gates: [
+                { x: 45, y: 32, w: 2, h: 1 }
             ],
             enemies: [
-                { x: 8, y: 5 }, { x: 20, y: 10 },
-                { x: 15, y: 25 }, { x: 35, y: 12 },
-                { x: 42, y: 25 }, { x: 30, y: 30 },
-                { x: 8, y: 30 }, { x: 45, y: 8 }
+                { x: 8, y: 5, patrol: [{ x: 4, y: 5 }, { x: 10, y: 5 }] },
+                { x: 20, y: 10, patrol: [{ x: 15, y: 8 }, { x: 23, y: 8 }] },
+                { x: 15, y: 25, patrol: [{ x: 15, y: 20 }, { x: 15, y: 30 }] },
+                { x: 35, y: 12, patrol: [{ x: 30, y: 12 }, { x: 36, y: 12 }] },
+                { x: 42, y: 25, patrol: [{ x: 42, y: 22 }, { x: 46, y: 28 }] },
+                { x: 30, y: 30, patrol: [{ x: 26, y: 30 }, { x: 36, y: 30 }] },
+                { x: 8, y: 30, patrol: [{ x: 4, y: 34 }, { x: 10, y: 26 }] },
+                { x: 45, y: 8, patrol: [{ x: 40, y: 8 }, { x: 47, y: 8 }], sightRange: 10 }
             ],
             collectibles: [
-                { x: 5, y: 5 }, { x: 18, y: 5 },
-                { x: 8, y: 15 }, { x: 30, y: 10 },
-                { x: 42, y: 5 }, { x: 20, y: 28 },
-                { x: 35, y: 35 }, { x: 45, y: 35 }
-            ]
+                { x: 5, y: 5 }, { x: 18, y: 5, type: 'GEM' },
+                { x: 8, y: 15, type: 'STAR' }, { x: 30, y: 10 },
+                { x: 42, y: 5, type: 'KEY' }, { x: 20, y: 28, type: 'HEART' },
+                { x: 35, y: 35 }, { x: 45, y: 35, type: 'CHEST' }
+            ],
+            exit: { x: 46, y: 4 },
+            parTime: 150
         }
     ],
 
-    // RUNNER LEVELS (endless - these define backgrounds/themes)
+    // RUNNER LEVELS (themes play in order; goal is either { distance: meters } or { coins: count },
+    // counted from the start of the level - clearing the last goal finishes the run)
     runner: [
-        { name: "Forest Run", theme: 'forest', groundColor: '#2d5a27' },
-        { name: "Desert Dash", theme: 'desert', groundColor: '#c2a366' },
-        { name: "Space Sprint", theme: 'space', groundColor: '#1a1a3e' }
+        { name: "Forest Run", theme: 'forest', groundColor: '#2d5a27', goal: { distance: 400 } },
+        { name: "Desert Dash", theme: 'desert', groundColor: '#c2a366', goal: { coins: 40 } },
+        { name: "Space Sprint", theme: 'space', groundColor: '#1a1a3e', goal: { distance: 800 } }
     ],
 
     // SHOOTER LEVELS
@@ -236,6 +444,20 @@ const LEVELS = {
             enemyCount: 10,
             enemySpeed: 60,
             bossHealth: 0,
+            enemyFire: { enemy: null },
+            // Optional wave script, each entry starting `delay` ms after the last:
+            //   { enemy: 'fighter'|'ufo', count, formation: 'line'|'v'|'column',
+            //     path (WAVE_PATHS key), x (formation centre), spacing }
+            //   { hazards: { kind: 'asteroid'|'debris'|'mine'|'satellite', count } }
+            //   { boss: true }
+            // An entry may also carry a `name` banner. Once the script runs out
+            // the random spawner takes over; levels without waves only use that
+            waves: [
+                { delay: 1500, name: 'INCOMING', enemy: 'fighter', count: 5, formation: 'line', path: 'straight' },
+                { delay: 5000, enemy: 'fighter', count: 5, formation: 'v', path: 'sine' },
+                { delay: 5000, hazards: { kind: 'asteroid', count: 3 } },
+                { delay: 2500, enemy: 'fighter', count: 4, formation: 'column', path: 'swoopLeft' }
+            ],
             concepts: ['Superposition', 'Wavefunction', 'Interference', 'Qubits']
         },
         {
@@ -243,6 +465,15 @@ const LEVELS = {
             enemyCount: 15,
             enemySpeed: 75,
             bossHealth: 0,
+            waves: [
+                { delay: 1500, name: 'AGENT SWARM', enemy: 'fighter', count: 5, formation: 'v', path: 'dive' },
+                { delay: 4500, enemy: 'ufo', count: 3, formation: 'column', path: 'swoopRight' },
+                { delay: 3000, hazards: { kind: 'debris', count: 4 } },
+                { delay: 2000, enemy: 'fighter', count: 6, formation: 'line', path: 'sine', spacing: 90 },
+                { delay: 5000, hazards: { kind: 'mine', count: 2 } },
+                { delay: 1500, enemy: 'fighter', count: 4, formation: 'column', path: 'swoopLeft' },
+                { delay: 3500, enemy: 'ufo', count: 2, formation: 'line', path: 'dive', spacing: 240 }
+            ],
             concepts: ['MCP', 'A2A', 'LLM Reasoning', 'Context Engineering', 'Multi-Agent']
         },
         {
@@ -250,6 +481,49 @@ const LEVELS = {
             enemyCount: 12,
             enemySpeed: 85,
             bossHealth: 800,
+            // Phases begin when the boss's health falls to `health` (share of
+            // bossHealth). Attacks with `telegraph` flash a warning for that many
+            // ms first; shield windows block all damage; the core below the hull
+            // is a weak point taking `multiplier` x damage
+            boss: {
+                name: 'QUANTUM NEXUS',
+                points: 1000,           // defeat bonus
+                art: { size: 128, hull: '#4c1d95', trim: '#a78bfa', glow: '#00e5ff' },
+                restY: 130,
+                weakPoint: { offsetY: 40, multiplier: 2 },
+                phases: [
+                    {
+                        health: 1,
+                        name: 'SUPERPOSITION',
+                        movement: { type: 'sway', amplitude: 220, period: 6000 },
+                        attacks: [{ pattern: 'spiral', interval: 800 }]
+                    },
+                    {
+                        health: 0.6,
+                        name: 'ENTANGLEMENT',
+                        movement: { type: 'figure8', amplitude: 240, period: 5000 },
+                        attacks: [
+                            { pattern: 'spread', interval: 1400, telegraph: 400 },
+                            { pattern: 'laser', interval: 5000 }
+                        ],
+                        shield: { every: 7000, duration: 2000 }
+                    },
+                    {
+                        health: 0.3,
+                        name: 'DECOHERENCE',
+                        movement: { type: 'dive', amplitude: 260, period: 3500, depth: 220, every: 5000, duration: 1500 },
+                        attacks: [
+                            { pattern: 'spiral', interval: 450 },
+                            { pattern: 'aimed', interval: 1200, telegraph: 300 }
+                        ],
+                        shield: { every: 6000, duration: 1500 }
+                    }
+                ]
+            },
+            enemyFire: {
+                enemy: { pattern: 'aimed', interval: 2600, chance: 0.35 },
+                ufo: { pattern: 'laser', interval: 4500 }
+            },
             concepts: ['Entanglement', 'Quantum Tunneling', 'Decoherence', 'Agent Orchestration', 'Planning']
         }
     ],
@@ -274,19 +548,32 @@ const LEVELS = {
 // ============================================
 // HELPER FUNCTION - Get current settings
 // ============================================
-function getGameConfig() {
-    const diff = DIFFICULTY[CURRENT_DIFFICULTY];
+// modifiers: optional DAILY_CHALLENGE modifier set, applied on top of the difficulty
+function getGameConfig(difficulty = CURRENT_DIFFICULTY, type = GAME_TYPE, modifiers = null) {
+    const diff = DIFFICULTY[difficulty] || DIFFICULTY[CURRENT_DIFFICULTY];
+    const mods = modifiers || {};
+    const speedMultiplier = diff.enemySpeedMultiplier * (mods.enemySpeedMultiplier || 1);
+
+    // Level enemy speeds and shooter spawn rate follow the difficulty too
+    const levels = (LEVELS[type] || []).map(level => level.enemySpeed === undefined ? level :
+        Object.assign({}, level, { enemySpeed: Math.round(level.enemySpeed * speedMultiplier) }));
+    const shooter = Object.assign({}, SHOOTER_CONFIG, {
+        enemySpawnRate: Math.round(SHOOTER_CONFIG.enemySpawnRate * diff.spawnRateMultiplier * (mods.spawnRateMultiplier || 1)),
+        hazardChance: Math.min(1, SHOOTER_CONFIG.hazardChance * (mods.hazardMultiplier || 1)),
+        powerups: SHOOTER_CONFIG.powerups && mods.powerups !== false
+    });
+
     return {
-        type: GAME_TYPE,
+        type: type,
         info: GAME_INFO,
         theme: THEME,
         difficulty: diff,
-        levels: LEVELS[GAME_TYPE],
+        levels: levels,
 
         // Type-specific config
         maze: MAZE_CONFIG,
         runner: RUNNER_CONFIG,
-        shooter: SHOOTER_CONFIG,
+        shooter: shooter,
         strategy: STRATEGY_CONFIG
     };
 }
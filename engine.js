@@ -16,6 +16,8 @@ class SoundManager {
         this.audioBuffers = {};  // Cached audio buffers
         this.musicSource = null; // Current music source
         this.musicGain = null;   // Music volume control
+        this.sfxGain = null;     // Sound effects volume control
+        this.volume = { master: 0.8, music: 0.5, sfx: 1.0 };
         this.unlocked = false;   // Track if audio is unlocked
     }
 
@@ -24,11 +26,14 @@ class SoundManager {
             try {
                 this.ctx = new (window.AudioContext || window.webkitAudioContext)();
                 this.masterGain = this.ctx.createGain();
-                this.masterGain.gain.value = 0.8;
+                this.masterGain.gain.value = this.volume.master;
                 this.masterGain.connect(this.ctx.destination);
                 this.musicGain = this.ctx.createGain();
-                this.musicGain.gain.value = 0.5;
+                this.musicGain.gain.value = this.volume.music;
                 this.musicGain.connect(this.masterGain);
+                this.sfxGain = this.ctx.createGain();
+                this.sfxGain.gain.value = this.volume.sfx;
+                this.sfxGain.connect(this.masterGain);
             } catch (e) {
                 console.warn('AudioContext creation failed:', e);
             }
@@ -83,7 +88,7 @@ class SoundManager {
         source.loop = options.loop || false;
         gain.gain.value = options.volume !== undefined ? options.volume : 1;
         source.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         source.start(0);
         return { source, gain };
     }
@@ -110,7 +115,18 @@ class SoundManager {
     }
 
     setMusicVolume(vol) {
-        if (this.musicGain) this.musicGain.gain.value = Math.max(0, Math.min(1, vol));
+        this.volume.music = Math.max(0, Math.min(1, vol));
+        if (this.musicGain) this.musicGain.gain.value = this.volume.music;
+    }
+
+    setMasterVolume(vol) {
+        this.volume.master = Math.max(0, Math.min(1, vol));
+        if (this.masterGain) this.masterGain.gain.value = this.volume.master;
+    }
+
+    setSfxVolume(vol) {
+        this.volume.sfx = Math.max(0, Math.min(1, vol));
+        if (this.sfxGain) this.sfxGain.gain.value = this.volume.sfx;
     }
 
     play(type) {
@@ -132,7 +148,7 @@ class SoundManager {
         const osc = this.ctx.createOscillator();
         const gain = this.ctx.createGain();
         osc.connect(gain);
-        gain.connect(this.masterGain);
+        gain.connect(this.sfxGain);
         const now = this.ctx.currentTime;
 
         switch (type) {
@@ -233,657 +249,3856 @@ class SoundManager {
 const soundManager = new SoundManager();
 
 // ============================================
-// BASE GAME SCENE
+// PLAYER SETTINGS
 // ============================================
-class BaseGameScene extends Phaser.Scene {
-    constructor(key) {
-        super({ key });
-        this.config = null;
-        this.currentLevel = 0;
-        this.score = 0;
-        this.health = 100;
-        this.lives = 3;
-        this.gameOver = false;
-        this.isPaused = false;
+// Runtime settings changed from the title and pause menus, saved to localStorage
+class GameSettings {
+    constructor() {
+        const audio = typeof AUDIO_CONFIG !== 'undefined' ? AUDIO_CONFIG : {};
+        this.genre = GAME_TYPE;
+        this.difficulty = CURRENT_DIFFICULTY;
+        this.masterVolume = audio.masterVolume !== undefined ? audio.masterVolume : 0.8;
+        this.musicVolume = audio.musicVolume !== undefined ? audio.musicVolume : 0.5;
+        this.sfxVolume = audio.sfxVolume !== undefined ? audio.sfxVolume : 1.0;
+        this.adaptive = ADAPTIVE_DIFFICULTY.enabled;
+        this.effects = GameSettings.lowEndDevice() ? 'low' : EFFECTS_CONFIG.quality;
+        this.unlocked = {};      // Highest level index reached per genre
+        this.load();
     }
 
-    init() {
-        const cfg = getGameConfig();
-        this.config = cfg;
-        this.health = cfg.difficulty.playerHealth;
-        this.lives = cfg.difficulty.playerLives;
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('aiqnex_settings')) || {};
+            ['masterVolume', 'musicVolume', 'sfxVolume'].forEach(k => {
+                if (typeof saved[k] === 'number') this[k] = saved[k];
+            });
+            if (saved.unlocked && typeof saved.unlocked === 'object') this.unlocked = saved.unlocked;
+            if (DIFFICULTY[saved.difficulty]) this.difficulty = saved.difficulty;
+            if (typeof saved.adaptive === 'boolean') this.adaptive = saved.adaptive;
+            if (EFFECTS_CONFIG.qualityLevels[saved.effects] !== undefined) this.effects = saved.effects;
+        } catch (_) {
+            // storage unavailable or corrupt
+        }
+
+        // ?difficulty= overrides the saved preference
+        const fromUrl = new URLSearchParams(window.location.search).get('difficulty');
+        if (DIFFICULTY[fromUrl]) this.difficulty = fromUrl;
     }
 
-    preload() {
-        // Generate textures based on theme
-        const theme = this.config.theme;
+    save() {
+        try {
+            localStorage.setItem('aiqnex_settings', JSON.stringify({
+                masterVolume: this.masterVolume,
+                musicVolume: this.musicVolume,
+                sfxVolume: this.sfxVolume,
+                difficulty: this.difficulty,
+                adaptive: this.adaptive,
+                effects: this.effects,
+                unlocked: this.unlocked
+            }));
+        } catch (_) {
+            // storage unavailable
+        }
+    }
 
-        // Space backgrounds
-        const starsNear = SpriteGenerator.createStarfield(256, 70, '#e5f6ff');
-        const starsFar = SpriteGenerator.createStarfield(256, 40, '#98c8ff');
-        if (!this.textures.exists('stars_near')) this.textures.addBase64('stars_near', starsNear);
-        if (!this.textures.exists('stars_far')) this.textures.addBase64('stars_far', starsFar);
+    // Push volumes to the sound manager
+    applyAudio() {
+        soundManager.setMasterVolume(this.masterVolume);
+        soundManager.setMusicVolume(this.musicVolume);
+        soundManager.setSfxVolume(this.sfxVolume);
+    }
 
-        // Player (rocket for space expedition)
-        const playerTop = SpriteGenerator.createRocketTopDown(64, theme.player);
-        const playerSide = SpriteGenerator.createPlayerSide(48, 64, theme.player);
-        if (!this.textures.exists('player_top')) this.textures.addBase64('player_top', playerTop);
-        if (!this.textures.exists('player_side')) this.textures.addBase64('player_side', playerSide);
+    setVolume(key, value) {
+        this[key] = Math.max(0, Math.min(1, value));
+        this.applyAudio();
+        this.save();
+    }
 
-        // Enemies
-        const enemyTop = SpriteGenerator.createEnemyTopDown(64, theme.enemy);
-        const enemySide = SpriteGenerator.createEnemySide(48, 48, theme.enemy);
-        if (!this.textures.exists('enemy_top')) this.textures.addBase64('enemy_top', enemyTop);
-        if (!this.textures.exists('enemy_side')) this.textures.addBase64('enemy_side', enemySide);
+    // Takes effect the next time a run or level is started
+    setDifficulty(name) {
+        if (!DIFFICULTY[name]) return;
+        this.difficulty = name;
+        this.save();
+    }
 
-        // Items
-        const coin = SpriteGenerator.createCoin(32, theme.colors.secondary);
-        const bullet = SpriteGenerator.createBullet(16, 8, theme.colors.secondary);
-        const obstacle = SpriteGenerator.createObstacle(32, 48);
-        const tower = SpriteGenerator.createTower(48, theme.colors.primary);
-        const ground = SpriteGenerator.createGround(64, 32, theme.colors.floor);
-        const asteroid = SpriteGenerator.createAsteroid(64);
-        const debris = SpriteGenerator.createDebris(16);
+    setAdaptive(enabled) {
+        this.adaptive = !!enabled;
+        this.save();
+    }
 
-        if (!this.textures.exists('coin')) this.textures.addBase64('coin', coin);
-        if (!this.textures.exists('bullet')) this.textures.addBase64('bullet', bullet);
-        if (!this.textures.exists('obstacle')) this.textures.addBase64('obstacle', obstacle);
-        if (!this.textures.exists('tower')) this.textures.addBase64('tower', tower);
-        if (!this.textures.exists('ground')) this.textures.addBase64('ground', ground);
-        if (!this.textures.exists('asteroid')) this.textures.addBase64('asteroid', asteroid);
-        if (!this.textures.exists('debris')) this.textures.addBase64('debris', debris);
+    // Applies at once (the shooter's thruster follows it too)
+    setEffects(name) {
+        if (EFFECTS_CONFIG.qualityLevels[name] === undefined) return;
+        this.effects = name;
+        this.save();
+    }
 
-        // Space props & objects
-        const planet1 = SpriteGenerator.createPlanet(80, '#4a7c59', '#7ec8e3');
-        const planet2 = SpriteGenerator.createPlanet(60, '#8b4a6b', '#ff9999');
-        const planet3 = SpriteGenerator.createPlanet(100, '#5a6a8a', '#aaccff');
-        const ringedPlanet = SpriteGenerator.createRingedPlanet(90, '#d4a574', '#c9b896');
-        const spaceStation = SpriteGenerator.createSpaceStation(64);
-        const nebula1 = SpriteGenerator.createNebula(128, '#8b5cf6');
-        const nebula2 = SpriteGenerator.createNebula(128, '#ff6b9d');
-        const ufo = SpriteGenerator.createUFO(48, '#7a5caa');
-        const satellite = SpriteGenerator.createSatellite(40);
-        const wormhole = SpriteGenerator.createWormhole(64, '#9933ff');
-        const comet = SpriteGenerator.createComet(48);
-        const mine = SpriteGenerator.createMine(32);
-        const shieldPowerup = SpriteGenerator.createShieldPowerup(32);
-        const weaponPowerup = SpriteGenerator.createWeaponPowerup(32);
-        const speedPowerup = SpriteGenerator.createSpeedPowerup(32);
-        const healthPowerup = SpriteGenerator.createHealthPowerup(32);
+    static lowEndDevice() {
+        return (navigator.hardwareConcurrency || 4) <= 2 || (navigator.deviceMemory || 4) <= 2;
+    }
 
-        if (!this.textures.exists('planet1')) this.textures.addBase64('planet1', planet1);
-        if (!this.textures.exists('planet2')) this.textures.addBase64('planet2', planet2);
-        if (!this.textures.exists('planet3')) this.textures.addBase64('planet3', planet3);
-        if (!this.textures.exists('ringed_planet')) this.textures.addBase64('ringed_planet', ringedPlanet);
-        if (!this.textures.exists('space_station')) this.textures.addBase64('space_station', spaceStation);
-        if (!this.textures.exists('nebula1')) this.textures.addBase64('nebula1', nebula1);
-        if (!this.textures.exists('nebula2')) this.textures.addBase64('nebula2', nebula2);
-        if (!this.textures.exists('ufo')) this.textures.addBase64('ufo', ufo);
-        if (!this.textures.exists('satellite')) this.textures.addBase64('satellite', satellite);
-        if (!this.textures.exists('wormhole')) this.textures.addBase64('wormhole', wormhole);
-        if (!this.textures.exists('comet')) this.textures.addBase64('comet', comet);
-        if (!this.textures.exists('mine')) this.textures.addBase64('mine', mine);
-        if (!this.textures.exists('powerup_shield')) this.textures.addBase64('powerup_shield', shieldPowerup);
-        if (!this.textures.exists('powerup_weapon')) this.textures.addBase64('powerup_weapon', weaponPowerup);
-        if (!this.textures.exists('powerup_speed')) this.textures.addBase64('powerup_speed', speedPowerup);
-        if (!this.textures.exists('powerup_health')) this.textures.addBase64('powerup_health', healthPowerup);
-        // External logo asset for ad ships (loaded via Phaser loader)
-        if (!this.textures.exists('aiqnex_logo')) {
-            this.load.image('aiqnex_logo', 'aiqnex_logo.jpg');
-        }
+    setGenre(type) {
+        if (GENRE_SCENES[type]) this.genre = type;
     }
 
-    updateUI() {
-        if (typeof updateGameUI === 'function') {
-            const data = {
-                score: this.score,
-                health: this.health,
-                maxHealth: this.config.difficulty.playerHealth,
-                lives: this.lives,
-                level: this.currentLevel + 1
-            };
-            if (this.thrust !== undefined) data.thrust = this.thrust;
-            if (this.boss && this.boss.health !== undefined) {
-                data.bossHealth = this.boss.health;
-                data.maxBossHealth = this.boss.maxHealth || this.boss.health;
-            } else {
-                data.bossHealth = 0;
-                data.maxBossHealth = 0;
-            }
-            updateGameUI(data);
+    isLevelUnlocked(type, index) {
+        return index <= (this.unlocked[type] || 0);
+    }
+
+    unlockLevel(type, index) {
+        const count = (LEVELS[type] || []).length;
+        const capped = Math.min(index, count - 1);
+        if (capped > (this.unlocked[type] || 0)) {
+            this.unlocked[type] = capped;
+            this.save();
         }
     }
+}
 
-    showMessage(text, duration = 2000) {
-        const cx = this.cameras.main.width / 2;
-        const cy = this.cameras.main.height / 2;
+// Gameplay scene key for each genre
+const GENRE_SCENES = {
+    maze: 'MazeScene',
+    runner: 'RunnerScene',
+    shooter: 'ShooterScene',
+    strategy: 'StrategyScene'
+};
 
-        const msg = this.add.text(cx, cy, text, {
-            fontSize: '32px',
-            fill: '#ffffff',
-            stroke: '#000000',
-            strokeThickness: 4
-        }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+const gameSettings = new GameSettings();
+gameSettings.applyAudio();
 
-        this.tweens.add({
-            targets: msg,
-            alpha: 0,
-            y: cy - 50,
-            duration: duration,
-            onComplete: () => msg.destroy()
-        });
+// ============================================
+// HIGH SCORES
+// ============================================
+// Top-10 tables in localStorage, one per bucket ("genre:difficulty")
+class HighScores {
+    static bucket(genre, difficulty) {
+        return `${genre}:${difficulty}`;
     }
 
-    // Small floating text helper used by multiple scenes
-    showFloatingText(x, y, text, color = '#ffd700') {
-        try {
-            const t = this.add.text(x, y, text, {
-                fontSize: '16px',
-                color: color,
-                stroke: '#000',
-                strokeThickness: 3
-            }).setDepth(1000).setScrollFactor(1);
-            this.tweens.add({
-                targets: t,
-                y: y - 40,
-                alpha: 0,
-                duration: 1200,
-                onComplete: () => t.destroy()
-            });
-        } catch (_) {
-            // noop
-        }
+    static dailyBucket(date) {
+        return `daily:${date}`;
     }
 
-    takeDamage(amount) {
-        this.health -= amount;
-        soundManager.play('hit');
-        this.cameras.main.shake(100, 0.01);
-        this.updateUI();
+    static formatRow(row, index) {
+        const rank = String(index + 1).padStart(2, ' ');
+        return `${rank}. ${row.initials}  ${String(row.score).padStart(7, ' ')}  L${row.level}`;
+    }
 
-        if (this.health <= 0) {
-            this.loseLife();
+    constructor(limit = 10) {
+        this.limit = limit;
+        this.tables = {};
+        try {
+            this.tables = JSON.parse(localStorage.getItem('aiqnex_highscores')) || {};
+        } catch (_) {
+            // storage unavailable or corrupt
         }
     }
 
-    loseLife() {
-        this.lives--;
-        this.updateUI();
-
-        if (this.lives <= 0) {
-            this.endGame(false);
-        } else {
-            this.health = this.config.difficulty.playerHealth;
-            this.cameras.main.flash(500, 255, 0, 0);
-            this.resetPlayer();
+    save() {
+        try {
+            localStorage.setItem('aiqnex_highscores', JSON.stringify(this.tables));
+        } catch (_) {
+            // storage unavailable
         }
     }
 
-    resetPlayer() {
-        // Override in child classes
+    list(bucket) {
+        return this.tables[bucket] || [];
     }
 
-    endGame(won) {
-        if (this.gameOver) return;
-        this.gameOver = true;
-        this.physics.pause();
+    best(bucket) {
+        const list = this.list(bucket);
+        return list.length ? list[0].score : 0;
+    }
 
-        soundManager.play(won ? 'levelup' : 'gameover');
+    qualifies(bucket, score) {
+        if (score <= 0) return false;
+        const list = this.list(bucket);
+        return list.length < this.limit || score > list[list.length - 1].score;
+    }
 
-        const cx = this.cameras.main.width / 2;
-        const cy = this.cameras.main.height / 2;
+    // Inserts the entry and returns its rank (0-based), or -1 if it didn't place
+    add(bucket, entry) {
+        const row = Object.assign({ date: new Date().toISOString().slice(0, 10) }, entry);
+        const list = this.list(bucket).concat(row)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.limit);
+        this.tables[bucket] = list;
+        this.save();
+        return list.indexOf(row);
+    }
+}
 
-        this.add.rectangle(cx, cy, 400, 200, 0x000000, 0.9)
-            .setScrollFactor(0).setDepth(999);
+const highScores = new HighScores();
 
-        const title = won ? 'YOU WIN!' : 'GAME OVER';
-        const color = won ? '#22c55e' : '#ef4444';
+// ============================================
+// ONLINE LEADERBOARD
+// ============================================
+// Client for the /api/scores endpoints in server.js. Only used when the game
+// is served over http(s); callers fall back to the local table on any error.
+class LeaderboardClient {
+    constructor(endpoint = '/api/scores', timeout = 4000) {
+        this.endpoint = endpoint;
+        this.timeout = timeout;
+    }
 
-        this.add.text(cx, cy - 40, title, {
-            fontSize: '36px',
-            fill: color,
-            fontStyle: 'bold'
-        }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+    get available() {
+        return typeof fetch === 'function' && /^https?:$/.test(window.location.protocol);
+    }
 
-        this.add.text(cx, cy, `Score: ${this.score}`, {
-            fontSize: '24px',
-            fill: '#ffffff'
-        }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+    async request(url, options = {}) {
+        if (!this.available) throw new Error('Leaderboard unavailable');
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            const res = await fetch(url, Object.assign({ signal: controller.signal }, options));
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || `Leaderboard error ${res.status}`);
+            return data;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
 
-        const btn = this.add.text(cx, cy + 50, '[ PLAY AGAIN ]', {
-            fontSize: '20px',
-            fill: '#ffd700',
-            backgroundColor: '#1a1a3e',
-            padding: { x: 20, y: 10 }
-        }).setOrigin(0.5).setScrollFactor(0).setDepth(1000)
-            .setInteractive({ useHandCursor: true });
+    // query is { genre, difficulty } or { daily: 'YYYY-MM-DD' }. Resolves to
+    // { scores, verified } (see table)
+    async fetchTop(query) {
+        const params = new URLSearchParams(query);
+        return LeaderboardClient.table(await this.request(`${this.endpoint}?${params}`));
+    }
 
-        btn.on('pointerdown', () => {
-            this.currentLevel = 0;
-            this.score = 0;
-            this.lives = this.config.difficulty.playerLives;
-            this.scene.restart();
+    // Resolves to { rank, scores, verified }
+    async submit(entry) {
+        const data = await this.request(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(entry)
         });
+        return Object.assign({ rank: data.rank }, LeaderboardClient.table(data));
     }
 
-    nextLevel() {
-        const levels = this.config.levels;
-        if (this.currentLevel < levels.length - 1) {
-            this.currentLevel++;
-            soundManager.play('levelup');
-            this.showMessage(`Level ${this.currentLevel + 1}!`);
-            this.scene.restart();
-        } else {
-            this.endGame(true);
-        }
+    // Genres the server can't verify only have a separate unverified table
+    static table(data) {
+        if (data.verified === false) return { scores: data.unverified || [], verified: false };
+        return { scores: data.scores || [], verified: true };
+    }
+
+    static title(verified) {
+        return verified ? 'ONLINE SCORES' : 'ONLINE (UNVERIFIED)';
     }
 }
 
+const leaderboard = new LeaderboardClient();
+
 // ============================================
-// MAZE GAME SCENE
+// DAILY CHALLENGE
 // ============================================
-class MazeScene extends BaseGameScene {
+// Today's shared shooter run (see DailyChallenge in shared.js) and how many of
+// the day's attempts this browser has used
+class DailyAttempts {
     constructor() {
-        super('MazeScene');
-        this.collected = 0;
-        this.lastDamageTime = 0;
+        this.state = { date: null, used: 0 };
+        try {
+            this.state = JSON.parse(localStorage.getItem('aiqnex_daily')) || this.state;
+        } catch (_) {
+            // storage unavailable or corrupt
+        }
     }
 
-    create() {
-        soundManager.unlock();
+    today() {
+        return DailyChallenge.forSeed(DailyChallenge.seedFor(), DAILY_CHALLENGE.modifierSets);
+    }
 
-        // Wait for textures
-        this.waitForTextures(() => {
-            this.setupMaze();
-        });
+    remaining(challenge) {
+        const used = this.state.date === challenge.date ? this.state.used : 0;
+        return Math.max(0, DAILY_CHALLENGE.attempts - used);
     }
 
-    waitForTextures(callback) {
-        const required = ['floor', 'walls', 'player_top', 'enemy_top', 'coin'];
-        const check = () => {
-            if (required.every(k => this.textures.exists(k))) {
-                // Create player spritesheet
-                if (!this.textures.exists('player')) {
-                    const src = this.textures.get('player_top').getSourceImage();
-                    this.textures.addSpriteSheet('player', src, { frameWidth: 64, frameHeight: 64 });
-                }
-                callback();
-            } else {
-                this.time.delayedCall(50, check);
-            }
-        };
-        check();
+    // Counted when the run starts, so quitting or reloading still uses it up
+    use(challenge) {
+        if (this.state.date !== challenge.date) this.state = { date: challenge.date, used: 0 };
+        this.state.used++;
+        try {
+            localStorage.setItem('aiqnex_daily', JSON.stringify(this.state));
+        } catch (_) {
+            // storage unavailable
+        }
     }
+}
 
-    setupMaze() {
-        const level = this.config.levels[this.currentLevel];
-        const T = this.config.maze.tileSize;
-        const mapW = level.mapWidth * T;
-        const mapH = level.mapHeight * T;
+const dailyAttempts = new DailyAttempts();
 
-        // Floor
-        this.add.tileSprite(0, 0, mapW, mapH, 'floor').setOrigin(0);
+// ============================================
+// SAVED RUN
+// ============================================
+// The run in progress, written to localStorage at the start of every level so
+// "Continue" can pick it up from there after a reload. One slot for all genres.
+class SavedRun {
+    get() {
+        let run = null;
+        try {
+            run = JSON.parse(localStorage.getItem('aiqnex_saved_run'));
+        } catch (_) {
+            // storage unavailable or corrupt
+        }
+        return SavedRun.isValid(run) ? run : null;
+    }
 
-        // Walls
-        this.walls = this.physics.add.staticGroup();
+    static isValid(run) {
+        return !!run && !!GENRE_SCENES[run.genre] && !!DIFFICULTY[run.difficulty] &&
+            typeof run.seed === 'string' && Number.isInteger(run.level) && run.level >= 0 &&
+            (run.endless || run.level < (LEVELS[run.genre] || []).length) && Number.isInteger(run.score) && run.score >= 0 &&
+            Number.isInteger(run.lives) && run.lives > 0 && run.health > 0;
+    }
 
-        // Border walls
-        this.addWall(0, 0, mapW, T * 1.5);
-        this.addWall(0, mapH - T * 1.5, mapW, T * 1.5);
-        this.addWall(0, 0, T * 1.5, mapH);
-        this.addWall(mapW - T * 1.5, 0, T * 1.5, mapH);
+    save(run) {
+        try {
+            localStorage.setItem('aiqnex_saved_run', JSON.stringify(run));
+        } catch (_) {
+            // storage unavailable or full
+        }
+    }
 
-        // Level walls
-        level.walls.forEach(w => {
-            this.addWall(w.x * T, w.y * T, w.w * T, w.h * T);
-        });
+    clear() {
+        try {
+            localStorage.removeItem('aiqnex_saved_run');
+        } catch (_) {
+            // storage unavailable
+        }
+    }
+}
 
-        // Player
-        this.player = this.physics.add.sprite(80, 80, 'player', 0);
-        this.player.setScale(0.7);
-        this.player.setCollideWorldBounds(true);
-        this.player.setDepth(10);
-        this.player.body.setSize(32, 32);
+const savedRun = new SavedRun();
 
-        // Animations
-        if (!this.anims.exists('walk')) {
-            this.anims.create({
-                key: 'walk',
-                frames: this.anims.generateFrameNumbers('player', { start: 0, end: 3 }),
-                frameRate: 8,
-                repeat: -1
-            });
-            this.anims.create({
-                key: 'idle',
-                frames: [{ key: 'player', frame: 0 }],
-                frameRate: 1
-            });
+// ============================================
+// CONCEPT CODEX
+// ============================================
+// Shooter concepts (CONCEPTS in config.js) this browser has unlocked by
+// seeing them pop up, kept across runs
+class ConceptCodex {
+    constructor() {
+        this.unlocked = [];
+        try {
+            const saved = JSON.parse(localStorage.getItem('aiqnex_codex'));
+            if (Array.isArray(saved)) this.unlocked = saved.filter(name => CONCEPTS[name]);
+        } catch (_) {
+            // storage unavailable or corrupt
         }
+    }
 
-        // Collectibles
-        this.collectibles = this.add.group();
-        this.collected = 0;
-        level.collectibles.forEach((pos, i) => {
-            const c = this.physics.add.sprite(pos.x * T, pos.y * T, 'coin');
-            c.setScale(1);
-            c.itemIndex = i;
-            this.collectibles.add(c);
+    has(name) {
+        return this.unlocked.indexOf(name) !== -1;
+    }
 
-            this.tweens.add({
-                targets: c,
-                scale: 1.1,
-                duration: 500,
-                yoyo: true,
-                repeat: -1
-            });
-        });
+    // True the first time a concept is seen
+    unlock(name) {
+        if (!CONCEPTS[name] || this.has(name)) return false;
+        this.unlocked.push(name);
+        try {
+            localStorage.setItem('aiqnex_codex', JSON.stringify(this.unlocked));
+        } catch (_) {
+            // storage unavailable
+        }
+        return true;
+    }
 
-        // Enemies
-        this.enemies = this.add.group();
-        level.enemies.forEach(pos => {
-            const e = this.physics.add.sprite(pos.x * T, pos.y * T, 'enemy_top');
-            e.setScale(0.65);
-            e.speed = this.config.difficulty.enemySpeed + Phaser.Math.Between(-10, 20);
-            e.body.setSize(32, 32);
-            this.enemies.add(e);
+    // Percentage of a level's concepts unlocked
+    completion(level) {
+        const concepts = level.concepts || [];
+        if (!concepts.length) return 0;
+        return Math.round(concepts.filter(name => this.has(name)).length / concepts.length * 100);
+    }
+}
 
-            this.tweens.add({
-                targets: e,
-                angle: { from: -3, to: 3 },
-                duration: 200,
-                yoyo: true,
-                repeat: -1
-            });
-        });
+const codex = new ConceptCodex();
 
-        // Physics
-        this.physics.world.setBounds(0, 0, mapW, mapH);
-        this.physics.add.collider(this.player, this.walls);
-        this.physics.add.overlap(this.player, this.collectibles, this.collect, null, this);
-        this.physics.add.overlap(this.player, this.enemies, this.hitEnemy, null, this);
+// ============================================
+// EFFECTS
+// ============================================
+// Explosions and particle bursts for a scene. Particle counts scale with the
+// effects quality in gameSettings
+class Effects {
+    constructor(scene) {
+        this.scene = scene;
+        this.emitters = {};
+    }
 
-        // Camera
-        this.cameras.main.setBounds(0, 0, mapW, mapH);
-        this.cameras.main.startFollow(this.player, true, 0.1, 0.1);
+    // From preload; both load asynchronously like the other generated textures
+    static registerTextures(scene) {
+        const { size, frames } = EFFECTS_CONFIG.explosion;
+        if (!scene.textures.exists('explosion_sheet')) {
+            scene.textures.addBase64('explosion_sheet', SpriteGenerator.createExplosionSheet(size, frames));
+        }
+        if (!scene.textures.exists('particle')) scene.textures.addBase64('particle', SpriteGenerator.createParticle(8));
+    }
 
-        // Controls
-        this.cursors = this.input.keyboard.createCursorKeys();
-        this.wasd = this.input.keyboard.addKeys('W,A,S,D');
+    get quality() {
+        return EFFECTS_CONFIG.qualityLevels[gameSettings.effects] || 0;
+    }
 
-        // UI
-        this.updateUI();
-        this.showMessage(level.name, 1500);
+    // Cuts the sheet into frames and builds the animation once it has loaded
+    ready() {
+        const { textures, anims } = this.scene;
+        const { size, frameRate } = EFFECTS_CONFIG.explosion;
+        if (!textures.exists('explosion') && textures.exists('explosion_sheet')) {
+            const src = textures.get('explosion_sheet').getSourceImage();
+            textures.addSpriteSheet('explosion', src, { frameWidth: size, frameHeight: size });
+        }
+        if (textures.exists('explosion') && !anims.exists('explode')) {
+            anims.create({ key: 'explode', frames: anims.generateFrameNumbers('explosion'), frameRate });
+        }
+        return anims.exists('explode');
     }
 
-    addWall(x, y, w, h) {
-        const wall = this.add.tileSprite(x + w / 2, y + h / 2, w, h, 'walls');
-        this.walls.add(wall);
-        wall.body.setSize(w, h);
-        wall.body.setOffset(-w / 2, -h / 2);
+    explode(x, y, scale = 1) {
+        if (!this.ready()) return;
+        const blast = this.scene.add.sprite(x, y, 'explosion').setScale(scale).setDepth(8);
+        blast.once('animationcomplete', () => blast.destroy());
+        blast.play('explode');
     }
 
-    collect(player, item) {
-        item.destroy();
-        this.collected++;
-        this.score += 100;
-        soundManager.play('collect');
-        this.updateUI();
+    // One-off burst of a named EFFECTS_CONFIG.particles effect
+    burst(name, x, y) {
+        const count = Math.round(EFFECTS_CONFIG.particles[name].count * this.quality);
+        const emitter = count > 0 && this.emitter(name);
+        if (emitter) emitter.explode(count, x, y);
+    }
 
-        const level = this.config.levels[this.currentLevel];
-        if (this.collected >= level.collectibles.length) {
-            this.nextLevel();
+    // Continuous stream following a sprite (the thruster)
+    trail(name, target, offsetY) {
+        const emitter = this.emitter(name);
+        if (!emitter) return null;
+        emitter.startFollow(target, 0, offsetY);
+        this.updateTrail(emitter);
+        return emitter;
+    }
+
+    // Emission rate tracks the quality, times `boost`
+    updateTrail(emitter, boost = 1) {
+        const rate = this.quality * boost;
+        emitter.emitting = rate > 0;
+        if (rate > 0) emitter.frequency = EFFECTS_CONFIG.particles[emitter.effectName].frequency / rate;
+    }
+
+    emitter(name) {
+        if (!this.emitters[name]) {
+            if (!this.scene.textures.exists('particle')) return null;
+            const { count, ...config } = EFFECTS_CONFIG.particles[name];
+            const emitter = this.scene.add.particles(0, 0, 'particle', Object.assign(config, { emitting: false }));
+            emitter.setDepth(7);
+            emitter.effectName = name;
+            this.emitters[name] = emitter;
         }
+        return this.emitters[name];
     }
+}
 
-    hitEnemy(player, enemy) {
-        const now = this.time.now;
-        if (now - this.lastDamageTime < 1000) return;
-        this.lastDamageTime = now;
+// ============================================
+// FIXED-STEP SIMULATION
+// ============================================
+// Gameplay advances in fixed steps of SIM_STEP ms whatever the display's frame
+// rate: each frame, BaseGameScene.update() turns the real time elapsed into
+// whole steps, and each step runs the game timers, physics and the scene's
+// fixedUpdate() once. Timers that affect play live on this clock rather than
+// Phaser's, which follows real time.
+const SIM_STEP = 1000 / 60;
+
+class FixedStepClock {
+    constructor(maxSteps = 4) {
+        this.maxSteps = maxSteps;
+        this.accumulator = 0;
+        this.now = 0;
+        this.events = [];
+    }
 
-        this.takeDamage(this.config.difficulty.enemyDamage);
-        player.setTint(0xff0000);
-        this.time.delayedCall(200, () => player.clearTint());
+    // Whole steps due after `delta` ms of real time at `speed`. A long stall
+    // (a slow frame, a background tab) is dropped rather than caught up
+    due(delta, speed = 1) {
+        this.accumulator += delta * speed;
+        const steps = Math.floor(this.accumulator / SIM_STEP);
+        this.accumulator -= steps * SIM_STEP;
+        return Math.min(steps, Math.ceil(this.maxSteps * speed));
     }
 
-    resetPlayer() {
-        this.player.setPosition(80, 80);
+    // Same options as Phaser's Clock.addEvent: { delay, loop, repeat, callback, callbackScope, args }.
+    // The returned event can be removed (remove(true) fires it one last time),
+    // or its delay changed while it runs
+    addEvent(config) {
+        const event = Object.assign({ loop: false, repeat: 0, args: [], elapsed: 0, removed: false }, config);
+        event.remove = dispatchCallback => {
+            event.removed = true;
+            if (dispatchCallback) event.callback.apply(event.callbackScope, event.args);
+        };
+        this.events.push(event);
+        return event;
     }
 
-    update() {
-        if (this.gameOver || !this.player) return;
-        // Inputs may not be initialized until setup completes
-        if (!this.cursors || !this.wasd) return;
+    delayedCall(delay, callback, args, callbackScope) {
+        return this.addEvent({ delay, callback, args, callbackScope });
+    }
 
-        // Enemy AI
-        this.enemies.children.iterate(e => {
-            if (!e) return;
-            const dx = this.player.x - e.x;
-            const dy = this.player.y - e.y;
-            const dist = Math.sqrt(dx * dx + dy * dy);
-            if (dist > 10) {
-                e.setVelocity((dx / dist) * e.speed, (dy / dist) * e.speed);
-            }
+    // One step: events fire in the order they were added. Events added by a
+    // callback start counting on the next step
+    step() {
+        this.now += SIM_STEP;
+        this.events.slice().forEach(event => {
+            if (event.removed) return;
+            event.elapsed += SIM_STEP;
+            if (event.elapsed < event.delay) return;
+            event.elapsed -= event.delay;
+            if (!event.loop && event.repeat-- <= 0) event.removed = true;
+            event.callback.apply(event.callbackScope, event.args);
         });
+        this.events = this.events.filter(event => !event.removed);
+    }
+}
 
-        // Player movement
-        const speed = this.config.difficulty.playerSpeed;
-        this.player.setVelocity(0);
-        let moving = false;
+// ============================================
+// INPUT REPLAY
+// ============================================
+// A run is recorded as one entry per simulation step: [button bitmask, pointerX, pointerY],
+// plus the seed and settings needed to start it again. ['R'] marks a
+// "restart level" from the pause menu.
+const REPLAY_BUTTONS = ['left', 'right', 'up', 'down', 'fire', 'thrust', 'pointerDown'];
+
+class InputReplay {
+    static neutral() {
+        const controls = { pointerX: 0, pointerY: 0 };
+        REPLAY_BUTTONS.forEach(b => { controls[b] = false; });
+        return controls;
+    }
 
-        if (this.cursors.left.isDown || this.wasd.A.isDown) {
-            this.player.setVelocityX(-speed);
-            this.player.flipX = true;
-            moving = true;
-        } else if (this.cursors.right.isDown || this.wasd.D.isDown) {
-            this.player.setVelocityX(speed);
-            this.player.flipX = false;
-            moving = true;
-        }
+    static encode(controls) {
+        let bits = 0;
+        REPLAY_BUTTONS.forEach((b, i) => {
+            if (controls[b]) bits |= 1 << i;
+        });
+        return [bits, Math.round(controls.pointerX), Math.round(controls.pointerY)];
+    }
 
-        if (this.cursors.up.isDown || this.wasd.W.isDown) {
-            this.player.setVelocityY(-speed);
-            moving = true;
-        } else if (this.cursors.down.isDown || this.wasd.S.isDown) {
-            this.player.setVelocityY(speed);
-            moving = true;
-        }
+    static decode(frame) {
+        const controls = { pointerX: frame[1], pointerY: frame[2] };
+        REPLAY_BUTTONS.forEach((b, i) => { controls[b] = (frame[0] & (1 << i)) !== 0; });
+        return controls;
+    }
 
-        // Normalize diagonal movement
-        if (this.player.body.velocity.x !== 0 && this.player.body.velocity.y !== 0) {
-            this.player.body.velocity.normalize().scale(speed);
-        }
+    static isValid(replay) {
+        return !!replay && replay.version === 2 && !!GENRE_SCENES[replay.genre] &&
+            !!DIFFICULTY[replay.difficulty] && typeof replay.seed === 'string' &&
+            Number.isInteger(replay.startLevel) && replay.startLevel >= 0 &&
+            (replay.endless || replay.startLevel < (LEVELS[replay.genre] || []).length) && Array.isArray(replay.frames);
+    }
 
-        this.player.anims.play(moving ? 'walk' : 'idle', true);
+    constructor(replay) {
+        this.replay = replay;
+        this.index = 0;
+    }
+
+    get finished() {
+        return this.index >= this.replay.frames.length;
+    }
+
+    // The next step's { controls }, or { marker } for a restart. Once finished,
+    // neutral controls
+    next() {
+        if (this.finished) return { controls: InputReplay.neutral() };
+        const frame = this.replay.frames[this.index++];
+        if (frame[0] === 'R') return { marker: frame };
+        return { controls: InputReplay.decode(frame) };
     }
 }
 
 // ============================================
-// RUNNER GAME SCENE
+// BASE GAME SCENE
 // ============================================
-class RunnerScene extends BaseGameScene {
-    constructor() {
-        super('RunnerScene');
-        this.speed = 300;
-        this.isJumping = false;
+class BaseGameScene extends Phaser.Scene {
+    constructor(key) {
+        super({ key });
+        this.config = null;
+        this.currentLevel = 0;
+        this.score = 0;
+        this.health = 100;
+        this.lives = 3;
+        this.gameOver = false;
+        this.isPaused = false;
+        this.replaySpeed = 1;
     }
 
-    create() {
-        soundManager.unlock();
+    // Every start/restart passes data: { difficulty, newRun, seed, daily, resume, replay }.
+    // Phaser reuses the previous data when restart() gets none, so always pass it explicitly.
+    init(data) {
+        // A daily challenge keeps its modifiers for every level of the run
+        // An endless run (the random maze) generates its levels instead of using config.levels
+        if (data && data.newRun) {
+            this.challenge = data.daily ? DailyChallenge.forSeed(data.seed, DAILY_CHALLENGE.modifierSets) : null;
+            this.endless = !!data.endless;
+        }
+        // Continuing a saved run starts at its level; scenes restore their own
+        // part of the snapshot from this.resumeState during setup
+        const resume = data && data.newRun ? data.resume : null;
+        this.resumeState = resume ? resume.scene || {} : null;
+        if (resume) {
+            this.currentLevel = resume.level;
+            this.score = resume.score;
+        }
+        this.difficultyName = (data && data.difficulty) || this.difficultyName || gameSettings.difficulty;
+        const cfg = getGameConfig(this.difficultyName, gameSettings.genre, this.challenge && this.challenge.modifiers);
+        this.config = cfg;
+        if (data && data.newRun) {
+            this.replayData = data.replay || null;
+            this.resumeData = resume || null;
+            this.startRun(data.seed);
+        }
+        if (!this.runSeed) this.startRun();
+        this.rng = this.levelRandom();
+        this.health = resume ? resume.health : cfg.difficulty.playerHealth;
+        this.lives = resume ? resume.lives : cfg.difficulty.playerLives;
+        this.levelStartScore = this.score;
+        this.gameOver = false;
+        this.isPaused = false;
+        this.effects = new Effects(this);
+        gameSettings.unlockLevel(cfg.type, this.currentLevel);
 
-        this.waitForTextures(() => {
-            this.setupRunner();
+        // Best score to beat this run (the callout stays shown once passed)
+        this.bestScore = highScores.best(this.scoreBucket());
+        if (this.score <= this.bestScore) this.newBestShown = false;
+    }
+
+    // Esc/P, the on-screen button (window.togglePause) and hiding the tab all pause
+    setupPauseControls() {
+        const onPause = () => this.pauseGame();
+        this.input.keyboard.on('keydown-ESC', onPause);
+        this.input.keyboard.on('keydown-P', onPause);
+        this.game.events.on('hidden', onPause);
+        this.events.once('shutdown', () => {
+            this.input.keyboard.off('keydown-ESC', onPause);
+            this.input.keyboard.off('keydown-P', onPause);
+            this.game.events.off('hidden', onPause);
         });
     }
 
-    waitForTextures(callback) {
-        const required = ['ground', 'player_side', 'obstacle', 'coin'];
-        const check = () => {
-            if (required.every(k => this.textures.exists(k))) {
-                if (!this.textures.exists('player')) {
-                    const src = this.textures.get('player_side').getSourceImage();
-                    this.textures.addSpriteSheet('player', src, { frameWidth: 48, frameHeight: 64 });
-                }
-                callback();
-            } else {
-                this.time.delayedCall(50, check);
-            }
+    // Pausing the scene freezes update(), physics, timers and tweens; the menu runs in PauseScene
+    pauseGame() {
+        if (this.isPaused || this.gameOver || !this.scene.isActive()) return;
+        this.isPaused = true;
+        this.events.once('resume', () => { this.isPaused = false; });
+        this.scene.pause();
+        this.scene.launch('PauseScene', { target: this.scene.key });
+    }
+
+    // Called from init() when a fresh run begins; child classes reset run state here.
+    // A given seed replays the same spawns ("play this seed")
+    startRun(seed) {
+        const clean = String(seed || '').toUpperCase().replace(/[^\w-]/g, '').slice(0, 40);
+        this.runSeed = clean || SeededRandom.randomSeed();
+
+        // Either play back a replay or record this run as one
+        const replay = this.replayData;
+        const resume = this.resumeData;
+        if (replay) {
+            this.adaptiveEnabled = !!replay.adaptive;
+        } else if (resume) {
+            this.adaptiveEnabled = !!resume.adaptive;
+        } else {
+            this.adaptiveEnabled = gameSettings.adaptive && !this.challenge;
+        }
+        this.replayPlayer = replay ? new InputReplay(replay) : null;
+        this.recording = replay ? null : {
+            version: 2,
+            genre: this.config.type,
+            difficulty: this.difficultyName,
+            seed: this.runSeed,
+            daily: !!this.challenge,
+            endless: this.endless || undefined,
+            adaptive: this.adaptiveEnabled,
+            startLevel: this.currentLevel,
+            resume: resume || undefined,
+            frames: []
         };
-        check();
     }
 
-    setupRunner() {
-        const cfg = this.config.runner;
-        this.speed = cfg.groundSpeed;
+    // Snapshot of the run at the start of the current level, for "Continue".
+    // Daily challenges (one attempt) and replays are never saved
+    saveProgress() {
+        if (this.challenge || this.replayPlayer) return;
+        savedRun.save({
+            genre: this.config.type,
+            difficulty: this.difficultyName,
+            seed: this.runSeed,
+            endless: this.endless || undefined,
+            adaptive: this.adaptiveEnabled,
+            level: this.currentLevel,
+            score: this.levelStartScore,
+            lives: this.lives,
+            health: this.health,
+            scene: this.progressState()
+        });
+    }
 
-        // Background
-        this.add.rectangle(0, 0, 800, 600, 0x87ceeb).setOrigin(0);
+    // Scene-specific part of the saved run (override in child classes)
+    progressState() {
+        return {};
+    }
 
-        // Ground
-        this.ground = this.add.tileSprite(0, 550, 800, 50, 'ground').setOrigin(0);
-        this.physics.add.existing(this.ground, true);
+    // Every spawner draws from this.rng, re-derived from the run seed at each level
+    levelRandom() {
+        return new SeededRandom(`${this.runSeed}-L${this.currentLevel}`);
+    }
 
-        // Player
-        this.player = this.physics.add.sprite(100, 480, 'player', 0);
-        this.player.setScale(0.8);
-        this.player.setCollideWorldBounds(true);
-        this.player.body.setGravityY(cfg.gravity);
+    // From the pause menu, or a restart marker while replaying. A run keeps its
+    // difficulty throughout; changing it starts a new run (see PauseScene)
+    restartLevel() {
+        if (this.recording) this.recording.frames.push(['R']);
+        this.score = this.levelStartScore;
+        this.restartScene({ difficulty: this.difficultyName });
+    }
 
-        // Animations
-        if (!this.anims.exists('run')) {
-            this.anims.create({
-                key: 'run',
-                frames: this.anims.generateFrameNumbers('player', { start: 0, end: 3 }),
-                frameRate: 10,
-                repeat: -1
-            });
+    // Input is sampled once per simulation step into this.controls, live or from
+    // a replay. Scenes read this.controls / this.pressed() rather than the
+    // keyboard, move things in fixedUpdate() and put timers that affect play on
+    // this.clock (see FixedStepClock), so a replay runs the same steps on any
+    // machine and at any speed.
+    setupControls() {
+        this.controlKeys = this.input.keyboard.addKeys('UP,DOWN,LEFT,RIGHT,W,A,S,D,SPACE,SHIFT');
+        this.controls = InputReplay.neutral();
+        this.prevControls = this.controls;
+        this.pointerTapped = false;
+        this.replayLabel = null;
+        this.clock = new FixedStepClock();
+        this.pulses = [];
+        this.running = false;
+
+        // Catch taps shorter than a frame
+        const onTap = () => { this.pointerTapped = true; };
+        this.input.on('pointerdown', onTap);
+        this.events.once('shutdown', () => this.input.off('pointerdown', onTap));
+
+        if (this.replayPlayer) this.setupReplayControls();
+        this.setReplaySpeed(this.replayPlayer ? this.replaySpeed : 1);
+    }
+
+    // Called once the scene is set up. Steps (and the recording) start here, so
+    // however long the textures took to load is never part of a run
+    startSimulation() {
+        this.physics.world.pause();
+        this.running = true;
+    }
+
+    liveControls() {
+        const k = this.controlKeys;
+        const m = window.mobileInput || {};
+        const pointer = this.input.activePointer;
+        const controls = {
+            left: k.LEFT.isDown || k.A.isDown || !!m.left,
+            right: k.RIGHT.isDown || k.D.isDown || !!m.right,
+            up: k.UP.isDown || k.W.isDown || !!m.up,
+            down: k.DOWN.isDown || k.S.isDown || !!m.down,
+            fire: k.SPACE.isDown || !!m.fire,
+            thrust: k.SHIFT.isDown || !!m.thrust,
+            pointerDown: pointer.isDown || this.pointerTapped,
+            pointerX: pointer.x,
+            pointerY: pointer.y
+        };
+        this.pointerTapped = false;
+        return controls;
+    }
+
+    // Phaser's per-frame update: runs the simulation steps due this frame
+    // (more of them for a fast replay). Child classes put their logic in fixedUpdate()
+    update(time, delta) {
+        if (!this.running) return;
+        const wasFinished = this.replayPlayer && this.replayPlayer.finished;
+        const steps = this.clock.due(delta, this.replayPlayer ? this.replaySpeed : 1);
+        for (let i = 0; i < steps && this.running && !this.gameOver; i++) this.simulateStep();
+        if (this.replayPlayer && !wasFinished && this.replayPlayer.finished) this.showMessage('REPLAY FINISHED', 2500);
+    }
+
+    // One step: this step's controls (recorded live, or read back), then the
+    // timers, the physics world (otherwise left paused) and fixedUpdate()
+    simulateStep() {
+        let controls;
+        if (this.replayPlayer) {
+            const next = this.replayPlayer.next();
+            if (next.marker) {
+                this.restartLevel();
+                return;
+            }
+            controls = next.controls;
+        } else {
+            const frame = InputReplay.encode(this.liveControls());
+            this.recording.frames.push(frame);
+            controls = InputReplay.decode(frame);
+        }
+        this.prevControls = this.controls;
+        this.controls = controls;
+
+        const world = this.physics.world;
+        this.clock.step();
+        this.updatePulses();
+        world.resume();
+        world.update(this.clock.now, SIM_STEP);
+        world.pause();
+        this.fixedUpdate(this.clock.now, SIM_STEP);
+        world.postUpdate();
+    }
+
+    // Gameplay for one simulation step, called with (this.clock.now, SIM_STEP)
+    fixedUpdate() {
+        // Override in child classes
+    }
+
+    // Looping scale pulse on the simulation clock, for sprites with a physics
+    // body: a Phaser scale tween would resize the body in real time
+    addPulse(target, scale, duration) {
+        this.pulses.push({ target, from: target.scale, to: scale, duration, start: this.clock.now });
+    }
+
+    updatePulses() {
+        this.pulses = this.pulses.filter(p => p.target.active);
+        this.pulses.forEach(p => {
+            const t = ((this.clock.now - p.start) / p.duration) % 2;
+            p.target.setScale(p.from + (p.to - p.from) * (t <= 1 ? t : 2 - t));
+        });
+    }
+
+    // Restarts this scene; no further steps are simulated until it has
+    restartScene(data) {
+        this.running = false;
+        this.scene.restart(data);
+    }
+
+    // True on the frame a control goes down
+    pressed(name) {
+        return this.controls[name] && !this.prevControls[name];
+    }
+
+    // Replay HUD: speed buttons plus 1-4 keys
+    setupReplayControls() {
+        const speeds = [0.5, 1, 2, 4];
+        const label = this.add.text(400, 10, '', {
+            fontSize: '14px',
+            fill: '#00e5ff',
+            backgroundColor: '#000000aa',
+            padding: { x: 8, y: 4 }
+        }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(1000);
+        this.hideFromMinimap(label);
+
+        const buttons = speeds.map((speed, i) => {
+            const btn = this.add.text(330 + i * 48, 36, `${speed}x`, {
+                fontSize: '13px',
+                fill: '#ffd700',
+                backgroundColor: '#1a1a3e',
+                padding: { x: 6, y: 3 }
+            }).setOrigin(0.5, 0).setScrollFactor(0).setDepth(1000).setInteractive({ useHandCursor: true });
+            btn.on('pointerdown', () => this.setReplaySpeed(speed));
+            this.hideFromMinimap(btn);
+            return btn;
+        });
+
+        const keys = ['ONE', 'TWO', 'THREE', 'FOUR'];
+        const handlers = keys.map((key, i) => {
+            const handler = () => this.setReplaySpeed(speeds[i]);
+            this.input.keyboard.on(`keydown-${key}`, handler);
+            return handler;
+        });
+        this.events.once('shutdown', () => keys.forEach((key, i) => this.input.keyboard.off(`keydown-${key}`, handlers[i])));
+
+        this.replayLabel = () => {
+            label.setText(`REPLAY  seed ${this.runSeed}  ${this.replaySpeed}x`);
+            buttons.forEach((btn, i) => btn.setStyle({ fill: speeds[i] === this.replaySpeed ? '#22c55e' : '#ffd700' }));
+        };
+    }
+
+    // Simulation steps per SIM_STEP of real time; tweens (only ever cosmetic) keep up
+    setReplaySpeed(speed) {
+        this.replaySpeed = speed;
+        this.tweens.timeScale = speed;
+        if (this.replayLabel) this.replayLabel();
+    }
+
+    downloadReplay() {
+        const blob = new Blob([JSON.stringify(this.recording)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `aiqnex-${this.recording.genre}-${this.runSeed}.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    quitToMenu() {
+        this.currentLevel = 0;
+        this.score = 0;
+        if (typeof updateGameUI === 'function') updateGameUI({ bossHealth: 0, maxBossHealth: 0 });
+        this.running = false;
+        this.scene.start('MenuScene');
+    }
+
+    preload() {
+        // Generate textures based on theme
+        const theme = this.config.theme;
+
+        // Space backgrounds
+        const starsNear = SpriteGenerator.createStarfield(256, 70, '#e5f6ff');
+        const starsFar = SpriteGenerator.createStarfield(256, 40, '#98c8ff');
+        if (!this.textures.exists('stars_near')) this.textures.addBase64('stars_near', starsNear);
+        if (!this.textures.exists('stars_far')) this.textures.addBase64('stars_far', starsFar);
+
+        // Player (rocket for space expedition)
+        const playerTop = SpriteGenerator.createRocketTopDown(64, theme.player);
+        const playerSide = SpriteGenerator.createPlayerSide(48, 64, theme.player);
+        if (!this.textures.exists('player_top')) this.textures.addBase64('player_top', playerTop);
+        if (!this.textures.exists('player_side')) this.textures.addBase64('player_side', playerSide);
+
+        // Enemies
+        const enemyTop = SpriteGenerator.createEnemyTopDown(64, theme.enemy);
+        const enemySide = SpriteGenerator.createEnemySide(48, 48, theme.enemy);
+        if (!this.textures.exists('enemy_top')) this.textures.addBase64('enemy_top', enemyTop);
+        if (!this.textures.exists('enemy_side')) this.textures.addBase64('enemy_side', enemySide);
+
+        // Maze tiles
+        const T = this.config.maze.tileSize;
+        const floor = SpriteGenerator.createFloor(T, {
+            floor: theme.colors.floor,
+            grid: SpriteGenerator.lightenColor(theme.colors.floor, 8),
+            tile: SpriteGenerator.lightenColor(theme.colors.floor, 3),
+            highlight: SpriteGenerator.lightenColor(theme.colors.floor, 6)
+        });
+        const walls = SpriteGenerator.createWall(T, {
+            wall: theme.colors.wall,
+            brick: SpriteGenerator.lightenColor(theme.colors.wall, 6),
+            accent: theme.colors.primary,
+            border: SpriteGenerator.darkenColor(theme.colors.primary, 40)
+        });
+        if (!this.textures.exists('floor')) this.textures.addBase64('floor', floor);
+        if (!this.textures.exists('walls')) this.textures.addBase64('walls', walls);
+
+        // Maze collectibles (COIN reuses the shared coin texture)
+        const mazeItems = {
+            item_gem: SpriteGenerator.createGem(32),
+            item_key: SpriteGenerator.createKey(32),
+            item_star: SpriteGenerator.createStar(32),
+            item_heart: SpriteGenerator.createHeart(32),
+            item_chest: SpriteGenerator.createChest(32)
+        };
+        Object.entries(mazeItems).forEach(([key, data]) => {
+            if (!this.textures.exists(key)) this.textures.addBase64(key, data);
+        });
+
+        // Items
+        const coin = SpriteGenerator.createCoin(32, theme.colors.secondary);
+        const bullet = SpriteGenerator.createBullet(16, 8, theme.colors.secondary);
+        const obstacle = SpriteGenerator.createObstacle(32, 48);
+        const tower = SpriteGenerator.createTower(48, theme.colors.primary);
+        const ground = SpriteGenerator.createGround(64, 32, theme.colors.floor);
+        const asteroid = SpriteGenerator.createAsteroid(64);
+        const debris = SpriteGenerator.createDebris(16);
+
+        if (!this.textures.exists('coin')) this.textures.addBase64('coin', coin);
+        if (!this.textures.exists('bullet')) this.textures.addBase64('bullet', bullet);
+        if (!this.textures.exists('obstacle')) this.textures.addBase64('obstacle', obstacle);
+        if (!this.textures.exists('tower')) this.textures.addBase64('tower', tower);
+        if (!this.textures.exists('ground')) this.textures.addBase64('ground', ground);
+        if (!this.textures.exists('asteroid')) this.textures.addBase64('asteroid', asteroid);
+        if (!this.textures.exists('debris')) this.textures.addBase64('debris', debris);
+
+        // Runner obstacles ('obstacle' above is the crate)
+        const runnerObstacles = {
+            obstacle_rock: SpriteGenerator.createRock(40, 32),
+            obstacle_log: SpriteGenerator.createLog(48, 24),
+            obstacle_cactus: SpriteGenerator.createCactus(32, 56),
+            obstacle_crystal: SpriteGenerator.createCrystal(32, 48),
+            obstacle_overhead: SpriteGenerator.createHangingBarrier(48, 520)
+        };
+        Object.entries(runnerObstacles).forEach(([key, data]) => {
+            if (!this.textures.exists(key)) this.textures.addBase64(key, data);
+        });
+
+        // Runner theme backgrounds and ground tints
+        this.runnerThemeTextures().forEach(({ key, create }) => {
+            if (!this.textures.exists(key)) this.textures.addBase64(key, create());
+        });
+
+        // Space props & objects
+        const planet1 = SpriteGenerator.createPlanet(80, '#4a7c59', '#7ec8e3');
+        const planet2 = SpriteGenerator.createPlanet(60, '#8b4a6b', '#ff9999');
+        const planet3 = SpriteGenerator.createPlanet(100, '#5a6a8a', '#aaccff');
+        const ringedPlanet = SpriteGenerator.createRingedPlanet(90, '#d4a574', '#c9b896');
+        const spaceStation = SpriteGenerator.createSpaceStation(64);
+        const nebula1 = SpriteGenerator.createNebula(128, '#8b5cf6');
+        const nebula2 = SpriteGenerator.createNebula(128, '#ff6b9d');
+        const ufo = SpriteGenerator.createUFO(48, '#7a5caa');
+        const satellite = SpriteGenerator.createSatellite(40);
+        const wormhole = SpriteGenerator.createWormhole(64, '#9933ff');
+        const comet = SpriteGenerator.createComet(48);
+        const mine = SpriteGenerator.createMine(32);
+        const enemyShot = SpriteGenerator.createEnemyShot(12);
+        const shieldPowerup = SpriteGenerator.createShieldPowerup(32);
+        const weaponPowerup = SpriteGenerator.createWeaponPowerup(32);
+        const speedPowerup = SpriteGenerator.createSpeedPowerup(32);
+        const healthPowerup = SpriteGenerator.createHealthPowerup(32);
+
+        if (!this.textures.exists('planet1')) this.textures.addBase64('planet1', planet1);
+        if (!this.textures.exists('planet2')) this.textures.addBase64('planet2', planet2);
+        if (!this.textures.exists('planet3')) this.textures.addBase64('planet3', planet3);
+        if (!this.textures.exists('ringed_planet')) this.textures.addBase64('ringed_planet', ringedPlanet);
+        if (!this.textures.exists('space_station')) this.textures.addBase64('space_station', spaceStation);
+        if (!this.textures.exists('nebula1')) this.textures.addBase64('nebula1', nebula1);
+        if (!this.textures.exists('nebula2')) this.textures.addBase64('nebula2', nebula2);
+        if (!this.textures.exists('ufo')) this.textures.addBase64('ufo', ufo);
+        if (!this.textures.exists('satellite')) this.textures.addBase64('satellite', satellite);
+        if (!this.textures.exists('wormhole')) this.textures.addBase64('wormhole', wormhole);
+        if (!this.textures.exists('comet')) this.textures.addBase64('comet', comet);
+        if (!this.textures.exists('mine')) this.textures.addBase64('mine', mine);
+        if (!this.textures.exists('enemy_shot')) this.textures.addBase64('enemy_shot', enemyShot);
+        Effects.registerTextures(this);
+
+        // Shooter bosses with their own art, keyed by level index
+        (LEVELS.shooter || []).forEach((level, i) => {
+            const art = level.boss && level.boss.art;
+            if (!art || this.textures.exists(`boss_${i}`)) return;
+            this.textures.addBase64(`boss_${i}`, SpriteGenerator.createBoss(art.size, art));
+            this.textures.addBase64(`boss_${i}_core`, SpriteGenerator.createBossCore(32, art.glow));
+        });
+        if (!this.textures.exists('powerup_shield')) this.textures.addBase64('powerup_shield', shieldPowerup);
+        if (!this.textures.exists('powerup_weapon')) this.textures.addBase64('powerup_weapon', weaponPowerup);
+        if (!this.textures.exists('powerup_speed')) this.textures.addBase64('powerup_speed', speedPowerup);
+        if (!this.textures.exists('powerup_health')) this.textures.addBase64('powerup_health', healthPowerup);
+        // External logo asset for ad ships (loaded via Phaser loader)
+        if (!this.textures.exists('aiqnex_logo')) {
+            this.load.image('aiqnex_logo', 'aiqnex_logo.jpg');
+        }
+    }
+
+    // Parallax layers per RUNNER_CONFIG theme plus a ground texture per LEVELS.runner entry
+    runnerThemeTextures() {
+        const list = [];
+        Object.entries(this.config.runner.themes || {}).forEach(([name, theme]) => {
+            theme.layers.forEach((l, i) => list.push({
+                key: `bg_${name}_${i}`,
+                create: () => SpriteGenerator.createParallaxLayer(512, l.height, l.style, l.color)
+            }));
+        });
+        (LEVELS.runner || []).forEach(level => list.push({
+            key: `ground_${level.theme}`,
+            create: () => SpriteGenerator.createGround(64, 32, level.groundColor)
+        }));
+        return list;
+    }
+
+    updateUI() {
+        if (typeof updateGameUI === 'function') {
+            const data = {
+                score: this.score,
+                health: this.health,
+                maxHealth: this.config.difficulty.playerHealth,
+                lives: this.lives,
+                level: this.currentLevel + 1
+            };
+            if (this.thrust !== undefined) data.thrust = this.thrust;
+            if (this.boss && this.boss.health !== undefined) {
+                data.bossHealth = this.boss.health;
+                data.maxBossHealth = this.boss.maxHealth || this.boss.health;
+            } else {
+                data.bossHealth = 0;
+                data.maxBossHealth = 0;
+            }
+            updateGameUI(data);
+        }
+        this.checkNewBest();
+    }
+
+    // Keep screen-space UI out of secondary cameras (e.g. the maze minimap)
+    hideFromMinimap(...objects) {
+        if (this.minimap) objects.forEach(o => this.minimap.ignore(o));
+    }
+
+    showMessage(text, duration = 2000) {
+        const cx = this.cameras.main.width / 2;
+        const cy = this.cameras.main.height / 2;
+
+        const msg = this.add.text(cx, cy, text, {
+            fontSize: '32px',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 4
+        }).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+        this.hideFromMinimap(msg);
+
+        this.tweens.add({
+            targets: msg,
+            alpha: 0,
+            y: cy - 50,
+            duration: duration,
+            onComplete: () => msg.destroy()
+        });
+    }
+
+    // Small floating text helper used by multiple scenes
+    showFloatingText(x, y, text, color = '#ffd700') {
+        try {
+            const t = this.add.text(x, y, text, {
+                fontSize: '16px',
+                color: color,
+                stroke: '#000',
+                strokeThickness: 3
+            }).setDepth(1000).setScrollFactor(1);
+            this.tweens.add({
+                targets: t,
+                y: y - 40,
+                alpha: 0,
+                duration: 1200,
+                onComplete: () => t.destroy()
+            });
+        } catch (_) {
+            // noop
+        }
+    }
+
+    takeDamage(amount) {
+        this.health -= amount;
+        soundManager.play('hit');
+        this.cameras.main.shake(100, 0.01);
+        this.updateUI();
+
+        if (this.health <= 0) {
+            this.loseLife();
+        }
+    }
+
+    loseLife() {
+        this.lives--;
+        this.updateUI();
+
+        if (this.lives <= 0) {
+            this.endGame(false);
+        } else {
+            this.health = this.config.difficulty.playerHealth;
+            this.cameras.main.flash(500, 255, 0, 0);
+            this.resetPlayer();
+        }
+    }
+
+    resetPlayer() {
+        // Override in child classes
+    }
+
+    endGame(won) {
+        if (this.gameOver) return;
+        this.gameOver = true;
+        this.physics.pause();
+        if (!this.challenge && !this.replayPlayer) savedRun.clear();
+
+        soundManager.play(won ? 'levelup' : 'gameover');
+
+        const cx = this.cameras.main.width / 2;
+        const cy = this.cameras.main.height / 2;
+
+        // Results on the left, high-score table (or initials entry) on the right.
+        // Extra stat lines supplied by the scene grow the panel downwards
+        const lines = this.resultLines().concat(`Seed: ${this.runSeed}`);
+        if (this.challenge) lines.push(`Daily: ${this.challenge.modifiers.name}`);
+        const panelH = Math.max(330, 300 + lines.length * 26);
+        const top = cy - panelH / 2;
+        const leftX = cx - 170;
+        this.tableX = cx + 170;
+        this.tableTop = top;
+
+        const panel = this.add.rectangle(cx, cy, 700, panelH, 0x000000, 0.9)
+            .setScrollFactor(0).setDepth(999);
+        this.hideFromMinimap(panel);
+
+        const title = won ? 'YOU WIN!' : 'GAME OVER';
+        const color = won ? '#22c55e' : '#ef4444';
+
+        this.panelText(leftX, top + 60, title, {
+            fontSize: '36px',
+            fill: color,
+            fontStyle: 'bold'
+        });
+        this.panelText(leftX, top + 100, `Score: ${this.score}`, {
+            fontSize: '24px',
+            fill: '#ffffff'
+        });
+        lines.forEach((line, i) => this.panelText(leftX, top + 130 + i * 26, line, {
+            fontSize: '18px',
+            fill: '#a78bfa'
+        }));
+
+        const menuBtn = this.panelButton(this.challenge ? leftX : leftX + 100, top + panelH - 45, 'MENU', '#a78bfa');
+        menuBtn.on('pointerdown', () => this.quitToMenu());
+
+        // The daily challenge is a single attempt, so no replaying it from here
+        if (!this.challenge) {
+            const btn = this.panelButton(leftX - 55, top + panelH - 45, 'PLAY AGAIN', '#ffd700');
+            const seedBtn = this.panelButton(leftX, top + panelH - 95, 'PLAY THIS SEED', '#00e5ff');
+            btn.on('pointerdown', () => this.playAgain());
+            seedBtn.on('pointerdown', () => this.playAgain(this.runSeed));
+        }
+        if (this.recording) {
+            const replayBtn = this.panelButton(leftX, top + panelH - 145, 'SAVE REPLAY', '#a78bfa');
+            replayBtn.on('pointerdown', () => this.downloadReplay());
+        }
+
+        // Replays are not new scores. A score that misses the local table can
+        // still place online, so it gets initials entry whenever the server may answer
+        const bucket = this.scoreBucket();
+        const localBest = highScores.qualifies(bucket, this.score);
+        if (this.replayPlayer) {
+            this.showHighScoreTable(bucket, -1);
+        } else if (localBest || (this.score > 0 && leaderboard.available)) {
+            this.showInitialsEntry(bucket, localBest);
+        } else {
+            this.showHighScoreTable(bucket, -1);
+            this.showOnlineScores(null);
+        }
+    }
+
+    // New run from level 1 (still endless in the random maze); passing a seed
+    // repeats that run's spawns
+    playAgain(seed) {
+        this.currentLevel = 0;
+        this.score = 0;
+        this.lives = this.config.difficulty.playerLives;
+        this.restartScene({ difficulty: gameSettings.difficulty, newRun: true, seed, endless: this.endless });
+    }
+
+    // Screen-fixed text for the game-over panel
+    panelText(x, y, text, style) {
+        const t = this.add.text(x, y, text, style).setOrigin(0.5).setScrollFactor(0).setDepth(1000);
+        this.hideFromMinimap(t);
+        return t;
+    }
+
+    panelButton(x, y, label, fill) {
+        return this.panelText(x, y, `[ ${label} ]`, {
+            fontSize: '18px',
+            fill,
+            backgroundColor: '#1a1a3e',
+            padding: { x: 14, y: 8 }
+        }).setInteractive({ useHandCursor: true });
+    }
+
+    // Type initials, or tap a letter to cycle it on touch screens. The row goes
+    // into the local table only when it placed there (localBest)
+    showInitialsEntry(bucket, localBest) {
+        const x = this.tableX;
+        const top = this.tableTop;
+        const letters = ['A', 'A', 'A'];
+        let cursor = 0;
+        const entry = [];
+
+        entry.push(this.panelText(x, top + 60, localBest ? 'NEW HIGH SCORE!' : 'SUBMIT SCORE', {
+            fontSize: '24px',
+            fill: '#ffd700',
+            fontStyle: 'bold'
+        }));
+        entry.push(this.panelText(x, top + 100, 'Enter your initials', { fontSize: '16px', fill: '#a78bfa' }));
+
+        const slots = letters.map((letter, i) => {
+            const slot = this.panelText(x + (i - 1) * 50, top + 160, letter, {
+                fontSize: '36px',
+                fill: '#ffffff',
+                backgroundColor: '#1a1a3e',
+                padding: { x: 10, y: 4 }
+            }).setInteractive({ useHandCursor: true });
+            slot.on('pointerdown', () => {
+                const code = letters[i].charCodeAt(0);
+                letters[i] = String.fromCharCode(code >= 90 ? 65 : code + 1);
+                cursor = i;
+                refresh();
+            });
+            return slot;
+        });
+        entry.push(...slots);
+        const refresh = () => slots.forEach((slot, i) => {
+            slot.setText(letters[i]);
+            slot.setStyle({ fill: i === cursor ? '#ffd700' : '#ffffff' });
+        });
+        refresh();
+
+        const save = () => {
+            this.input.keyboard.off('keydown', onKey);
+            entry.forEach(o => o.destroy());
+            const row = {
+                initials: letters.join(''),
+                score: this.score,
+                level: this.currentLevel + 1
+            };
+            this.showHighScoreTable(bucket, localBest ? highScores.add(bucket, row) : -1);
+            this.showOnlineScores(row);
+        };
+        const onKey = event => {
+            if (event.key === 'Enter') {
+                save();
+            } else if (event.key === 'Backspace') {
+                cursor = Math.max(0, cursor - 1);
+                refresh();
+            } else if (/^[a-z]$/i.test(event.key)) {
+                letters[cursor] = event.key.toUpperCase();
+                cursor = Math.min(2, cursor + 1);
+                refresh();
+            }
+        };
+        this.input.keyboard.on('keydown', onKey);
+        this.events.once('shutdown', () => this.input.keyboard.off('keydown', onKey));
+
+        const saveBtn = this.panelButton(x, top + 230, 'SAVE', '#22c55e');
+        saveBtn.on('pointerdown', save);
+        entry.push(saveBtn);
+    }
+
+    showHighScoreTable(bucket, highlight) {
+        this.renderScoreTable('HIGH SCORES', bucket, highScores.list(bucket), highlight);
+    }
+
+    renderScoreTable(title, bucket, list, highlight) {
+        const x = this.tableX;
+        const top = this.tableTop;
+        (this.scoreTableTexts || []).forEach(t => t.destroy());
+
+        this.scoreTableTexts = [
+            this.panelText(x, top + 35, title, { fontSize: '22px', fill: '#ffd700', fontStyle: 'bold' }),
+            this.panelText(x, top + 60, bucket.toUpperCase().replace(/:/g, ' / '), { fontSize: '13px', fill: '#a78bfa' })
+        ];
+        if (list.length === 0) {
+            this.scoreTableTexts.push(this.panelText(x, top + 110, 'No scores yet', { fontSize: '16px', fill: '#6b7280' }));
+            return;
+        }
+        list.forEach((row, i) => {
+            this.scoreTableTexts.push(this.panelText(x, top + 88 + i * 22, HighScores.formatRow(row, i), {
+                fontSize: '16px',
+                fontFamily: 'monospace',
+                fill: i === highlight ? '#22c55e' : '#ffffff'
+            }));
+        });
+    }
+
+    // Extra fields sent with a leaderboard entry so the server can verify it
+    // (override in child classes)
+    runSubmission() {
+        return {};
+    }
+
+    // Submit the entry (if any) and swap in the online table; the local table stays when offline
+    async showOnlineScores(row) {
+        const bucket = this.scoreBucket();
+        const query = { genre: this.config.type, difficulty: this.difficultyName };
+        try {
+            const result = row
+                ? await leaderboard.submit(Object.assign({}, query, row, this.runSubmission()))
+                : await leaderboard.fetchTop(this.challenge ? { daily: this.challenge.date } : query);
+            const rank = row ? result.rank : -1;
+            // The player may have left the game-over panel while we waited
+            if (this.gameOver && this.sys.isActive()) {
+                this.renderScoreTable(LeaderboardClient.title(result.verified), bucket, result.scores, rank);
+            }
+        } catch (_) {
+            // server unreachable or rejected the entry
+        }
+    }
+
+    // High-score table this run is ranked in (daily challenges get one per day)
+    scoreBucket() {
+        if (this.challenge) return HighScores.dailyBucket(this.challenge.date);
+        return HighScores.bucket(this.config.type, this.difficultyName);
+    }
+
+    // One-time callout when the run passes the stored best
+    checkNewBest() {
+        if (this.newBestShown || !this.bestScore || this.score <= this.bestScore) return;
+        this.newBestShown = true;
+        soundManager.play('levelup');
+        this.showMessage('NEW BEST!', 1500);
+    }
+
+    // Extra lines for the game-over panel (override in child classes)
+    resultLines() {
+        return [];
+    }
+
+    nextLevel() {
+        const levels = this.config.levels;
+        if (this.currentLevel < levels.length - 1) {
+            this.currentLevel++;
+            soundManager.play('levelup');
+            this.showMessage(`Level ${this.currentLevel + 1}!`);
+            this.restartScene({ difficulty: this.difficultyName });
+        } else {
+            this.endGame(true);
+        }
+    }
+}
+
+// ============================================
+// GRID PATHFINDING
+// ============================================
+// A* over a tile grid (4-directional). Used by MazeScene enemies.
+class PathFinder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.blocked = new Uint8Array(width * height);
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && y >= 0 && x < this.width && y < this.height;
+    }
+
+    isBlocked(x, y) {
+        return !this.inBounds(x, y) || this.blocked[y * this.width + x] === 1;
+    }
+
+    // Mark (or clear) every tile touched by a rectangle given in tile units
+    setRect(x, y, w, h, blocked = true) {
+        const x0 = Math.max(0, Math.floor(x));
+        const y0 = Math.max(0, Math.floor(y));
+        const x1 = Math.min(this.width, Math.ceil(x + w));
+        const y1 = Math.min(this.height, Math.ceil(y + h));
+        for (let ty = y0; ty < y1; ty++) {
+            for (let tx = x0; tx < x1; tx++) {
+                this.blocked[ty * this.width + tx] = blocked ? 1 : 0;
+            }
+        }
+    }
+
+    // Returns [{x, y}, ...] from start to goal (excluding start), or null if unreachable
+    findPath(sx, sy, gx, gy) {
+        if (this.isBlocked(gx, gy) || !this.inBounds(sx, sy)) return null;
+        if (sx === gx && sy === gy) return [];
+
+        const W = this.width;
+        const size = W * this.height;
+        const gScore = new Float64Array(size).fill(Infinity);
+        const cameFrom = new Int32Array(size).fill(-1);
+        const closed = new Uint8Array(size);
+        const start = sy * W + sx;
+        const goal = gy * W + gx;
+        const h = (i) => Math.abs((i % W) - gx) + Math.abs(Math.floor(i / W) - gy);
+
+        // Binary min-heap of [f, index]
+        const heap = [];
+        const push = (f, i) => {
+            heap.push([f, i]);
+            let n = heap.length - 1;
+            while (n > 0) {
+                const p = (n - 1) >> 1;
+                if (heap[p][0] <= heap[n][0]) break;
+                [heap[p], heap[n]] = [heap[n], heap[p]];
+                n = p;
+            }
+        };
+        const pop = () => {
+            const top = heap[0];
+            const last = heap.pop();
+            if (heap.length) {
+                heap[0] = last;
+                let n = 0;
+                for (;;) {
+                    const l = n * 2 + 1;
+                    const r = l + 1;
+                    let m = n;
+                    if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                    if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                    if (m === n) break;
+                    [heap[m], heap[n]] = [heap[n], heap[m]];
+                    n = m;
+                }
+            }
+            return top;
+        };
+
+        gScore[start] = 0;
+        push(h(start), start);
+        const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+        while (heap.length) {
+            const [, cur] = pop();
+            if (cur === goal) break;
+            if (closed[cur]) continue;
+            closed[cur] = 1;
+            const cx = cur % W;
+            const cy = Math.floor(cur / W);
+            for (const [dx, dy] of dirs) {
+                const nx = cx + dx;
+                const ny = cy + dy;
+                if (this.isBlocked(nx, ny)) continue;
+                const n = ny * W + nx;
+                const g = gScore[cur] + 1;
+                if (g < gScore[n]) {
+                    gScore[n] = g;
+                    cameFrom[n] = cur;
+                    push(g + h(n), n);
+                }
+            }
+        }
+
+        if (cameFrom[goal] === -1) return null;
+        const path = [];
+        for (let i = goal; i !== start; i = cameFrom[i]) {
+            path.push({ x: i % W, y: Math.floor(i / W) });
+        }
+        return path.reverse();
+    }
+
+    // Bresenham line walk - true if no blocked tile lies between the two tiles
+    hasLineOfSight(x0, y0, x1, y1) {
+        const dx = Math.abs(x1 - x0);
+        const dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1;
+        const sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        let x = x0;
+        let y = y0;
+        for (;;) {
+            if (this.isBlocked(x, y)) return false;
+            if (x === x1 && y === y1) return true;
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x += sx; }
+            if (e2 <= dx) { err += dx; y += sy; }
+        }
+    }
+}
+
+// ============================================
+// MAZE GENERATOR
+// ============================================
+// Builds LEVELS.maze-style level data from a seed with a recursive backtracker.
+// Cells are 2x2 open tiles separated by 1-tile walls, so the map is cols * 3 + 3 tiles wide
+// and the player's start (tile 2,2) is always cell (0, 0).
+class MazeGenerator {
+    static generate(seed, options = {}) {
+        const rng = new SeededRandom(seed);
+        const cols = options.cols || 10;
+        const rows = options.rows || 8;
+        const W = cols * 3 + 3;
+        const H = rows * 3 + 3;
+        const cellTile = (cx, cy) => ({ x: 2 + cx * 3, y: 2 + cy * 3 });
+
+        // Start with every lattice line solid
+        const solid = [];
+        for (let y = 0; y < H; y++) {
+            solid.push([]);
+            for (let x = 0; x < W; x++) {
+                solid[y].push((x - 1) % 3 === 0 || (y - 1) % 3 === 0 || x === 0 || y === 0 || x === W - 1 || y === H - 1);
+            }
+        }
+
+        const cellCount = cols * rows;
+        const adj = Array.from({ length: cellCount }, () => []);
+        const id = (cx, cy) => cy * cols + cx;
+        const dirs = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const carve = (ax, ay, bx, by) => {
+            const a = cellTile(ax, ay);
+            const b = cellTile(bx, by);
+            if (ax !== bx) {
+                const x = Math.max(a.x, b.x) - 1;
+                solid[a.y][x] = solid[a.y + 1][x] = false;
+            } else {
+                const y = Math.max(a.y, b.y) - 1;
+                solid[y][a.x] = solid[y][a.x + 1] = false;
+            }
+            if (!adj[id(ax, ay)].includes(id(bx, by))) {
+                adj[id(ax, ay)].push(id(bx, by));
+                adj[id(bx, by)].push(id(ax, ay));
+            }
+        };
+
+        // Recursive backtracker (iterative) - yields a spanning tree, so every cell is reachable
+        const visited = new Uint8Array(cellCount);
+        const stack = [[0, 0]];
+        visited[0] = 1;
+        while (stack.length) {
+            const [cx, cy] = stack[stack.length - 1];
+            const unvisited = rng.shuffle(dirs.slice())
+                .map(([dx, dy]) => [cx + dx, cy + dy])
+                .filter(([nx, ny]) => nx >= 0 && ny >= 0 && nx < cols && ny < rows && !visited[id(nx, ny)]);
+            if (!unvisited.length) {
+                stack.pop();
+                continue;
+            }
+            const [nx, ny] = unvisited[0];
+            carve(cx, cy, nx, ny);
+            visited[id(nx, ny)] = 1;
+            stack.push([nx, ny]);
+        }
+
+        // Knock out a few extra walls so enemies can be escaped around loops
+        const loops = Math.floor(cellCount * (options.loopFactor !== undefined ? options.loopFactor : 0.1));
+        for (let i = 0; i < loops; i++) {
+            const cx = rng.between(0, cols - 1);
+            const cy = rng.between(0, rows - 1);
+            const [dx, dy] = rng.pick(dirs);
+            const nx = cx + dx;
+            const ny = cy + dy;
+            if (nx >= 0 && ny >= 0 && nx < cols && ny < rows) carve(cx, cy, nx, ny);
+        }
+
+        // Distance of every cell from the start
+        const dist = new Int32Array(cellCount).fill(-1);
+        const queue = [0];
+        dist[0] = 0;
+        while (queue.length) {
+            const c = queue.shift();
+            adj[c].forEach(n => {
+                if (dist[n] === -1) {
+                    dist[n] = dist[c] + 1;
+                    queue.push(n);
+                }
+            });
+        }
+        const cells = Array.from({ length: cellCount }, (_, i) => i);
+        const toCell = i => ({ cx: i % cols, cy: Math.floor(i / cols) });
+
+        // Exit in the cell furthest from the start
+        const exitCell = cells.reduce((best, c) => (dist[c] > dist[best] ? c : best), 0);
+        const exitTile = cellTile(toCell(exitCell).cx, toCell(exitCell).cy);
+
+        // Collectibles in distinct cells (corner-centred like hand-made levels)
+        const itemTypes = ['COIN', 'COIN', 'COIN', 'GEM', 'HEART', 'STAR'];
+        const itemCells = rng.shuffle(cells.filter(c => c !== 0 && c !== exitCell))
+            .slice(0, options.collectibles || 5);
+        const collectibles = itemCells.map((c, i) => {
+            const t = cellTile(toCell(c).cx, toCell(c).cy);
+            const type = i === 0 && itemCells.length > 3 ? 'CHEST' : rng.pick(itemTypes);
+            return { x: t.x + 1, y: t.y + 1, type };
+        });
+
+        // Enemies away from the start, each patrolling a short random walk
+        const farCells = rng.shuffle(cells.filter(c => dist[c] >= 4));
+        const enemies = farCells.slice(0, options.enemies || 3).map(c => {
+            let walk = c;
+            for (let i = rng.between(3, 6); i > 0; i--) walk = rng.pick(adj[walk]);
+            const from = cellTile(toCell(c).cx, toCell(c).cy);
+            const to = cellTile(toCell(walk).cx, toCell(walk).cy);
+            return { x: from.x, y: from.y, patrol: walk === c ? [] : [{ x: to.x, y: to.y }] };
+        });
+
+        return {
+            name: options.name || `Random Maze ${seed}`,
+            seed: String(seed),
+            mapWidth: W,
+            mapHeight: H,
+            enemyCount: enemies.length,
+            collectibleCount: collectibles.length,
+            walls: MazeGenerator.toRects(solid, W, H),
+            enemies,
+            collectibles,
+            exit: { x: exitTile.x + 1, y: exitTile.y + 1 },
+            parTime: Math.round(30 + cellCount * 1.5)
+        };
+    }
+
+    // Merge solid tiles into as few rectangles as possible (the border is drawn by setupMaze)
+    static toRects(solid, W, H) {
+        const used = solid.map(row => row.map(() => false));
+        const free = (x, y) => solid[y][x] && !used[y][x];
+        const rects = [];
+        for (let y = 2; y < H - 2; y++) {
+            for (let x = 2; x < W - 2; x++) {
+                if (!free(x, y)) continue;
+                let w = 1;
+                while (x + w < W - 2 && free(x + w, y)) w++;
+                let h = 1;
+                while (y + h < H - 2) {
+                    let row = true;
+                    for (let i = 0; i < w; i++) if (!free(x + i, y + h)) row = false;
+                    if (!row) break;
+                    h++;
+                }
+                for (let j = 0; j < h; j++) for (let i = 0; i < w; i++) used[y + j][x + i] = true;
+                rects.push({ x, y, w, h });
+            }
+        }
+        return rects;
+    }
+}
+
+// ============================================
+// MAZE GAME SCENE
+// ============================================
+class MazeScene extends BaseGameScene {
+    constructor() {
+        super('MazeScene');
+        this.collected = 0;
+        this.lastDamageTime = 0;
+        this.levelTime = 0;
+        this.exitOpen = false;
+    }
+
+    create() {
+        soundManager.unlock();
+        this.setupPauseControls();
+        this.setupControls();
+
+        // Wait for textures
+        this.waitForTextures(() => {
+            this.setupMaze();
+            this.startSimulation();
+        });
+    }
+
+    waitForTextures(callback) {
+        const required = [
+            'floor', 'walls', 'player_top', 'enemy_top', 'coin', 'wormhole',
+            'item_gem', 'item_key', 'item_star', 'item_heart', 'item_chest'
+        ];
+        const check = () => {
+            if (required.every(k => this.textures.exists(k))) {
+                // Create player spritesheet
+                if (!this.textures.exists('player')) {
+                    const src = this.textures.get('player_top').getSourceImage();
+                    this.textures.addSpriteSheet('player', src, { frameWidth: 64, frameHeight: 64 });
+                }
+                callback();
+            } else {
+                this.time.delayedCall(50, check);
+            }
+        };
+        check();
+    }
+
+    // Hand-made level, or a generated one in random-maze mode
+    buildLevel() {
+        const gen = this.config.maze.generator;
+        if (!this.isEndless()) return this.config.levels[this.currentLevel];
+
+        // The run seed (or a configured one) makes every level reproducible
+        this.mazeSeed = gen.seed || this.runSeed;
+        const i = this.currentLevel;
+        return MazeGenerator.generate(`${this.mazeSeed}-${i}`, {
+            name: `Random Maze ${this.mazeSeed} #${i + 1}`,
+            cols: Math.min(gen.maxCols, gen.cols + i),
+            rows: Math.min(gen.maxRows, gen.rows + Math.floor(i / 2)),
+            collectibles: gen.collectibles + i,
+            enemies: Math.min(this.config.difficulty.enemyCount, gen.enemies + i),
+            loopFactor: gen.loopFactor
+        });
+    }
+
+    // Chosen from the level select, or forced on for every run by the config
+    isEndless() {
+        return !!(this.config.maze.generator && (this.endless || this.config.maze.generator.enabled));
+    }
+
+    nextLevel() {
+        if (!this.isEndless()) {
+            super.nextLevel();
+            return;
+        }
+        this.currentLevel++;
+        soundManager.play('levelup');
+        this.restartScene({ difficulty: this.difficultyName });
+    }
+
+    setupMaze() {
+        const level = this.level = this.buildLevel();
+        const T = this.config.maze.tileSize;
+        const mapW = level.mapWidth * T;
+        const mapH = level.mapHeight * T;
+
+        // Floor
+        this.add.tileSprite(0, 0, mapW, mapH, 'floor').setOrigin(0);
+
+        // Walls
+        this.walls = this.physics.add.staticGroup();
+
+        // Border walls
+        this.addWall(0, 0, mapW, T * 1.5);
+        this.addWall(0, mapH - T * 1.5, mapW, T * 1.5);
+        this.addWall(0, 0, T * 1.5, mapH);
+        this.addWall(mapW - T * 1.5, 0, T * 1.5, mapH);
+
+        // Level walls
+        level.walls.forEach(w => {
+            this.addWall(w.x * T, w.y * T, w.w * T, w.h * T);
+        });
+
+        // Key-locked gates
+        this.gates = this.physics.add.staticGroup();
+        (level.gates || []).forEach(w => {
+            const gate = this.addWall(w.x * T, w.y * T, w.w * T, w.h * T, this.gates);
+            gate.setTint(0xffd700);
+        });
+
+        // Navigation grid for enemy pathfinding
+        this.pathFinder = new PathFinder(level.mapWidth, level.mapHeight);
+        this.pathFinder.setRect(0, 0, level.mapWidth, 1.5);
+        this.pathFinder.setRect(0, level.mapHeight - 1.5, level.mapWidth, 1.5);
+        this.pathFinder.setRect(0, 0, 1.5, level.mapHeight);
+        this.pathFinder.setRect(level.mapWidth - 1.5, 0, 1.5, level.mapHeight);
+        level.walls.forEach(w => this.pathFinder.setRect(w.x, w.y, w.w, w.h));
+        (level.gates || []).forEach(w => this.pathFinder.setRect(w.x, w.y, w.w, w.h));
+
+        // Player
+        this.player = this.physics.add.sprite(80, 80, 'player', 0);
+        this.player.setScale(0.7);
+        this.player.setCollideWorldBounds(true);
+        this.player.setDepth(10);
+        this.player.body.setSize(32, 32);
+
+        // Animations
+        if (!this.anims.exists('walk')) {
+            this.anims.create({
+                key: 'walk',
+                frames: this.anims.generateFrameNumbers('player', { start: 0, end: 3 }),
+                frameRate: 8,
+                repeat: -1
+            });
+            this.anims.create({
+                key: 'idle',
+                frames: [{ key: 'player', frame: 0 }],
+                frameRate: 1
+            });
+        }
+
+        // Collectibles
+        this.collectibles = this.add.group();
+        this.collected = 0;
+        this.invincible = false;
+        this.invincibleTimer = null;
+        this.invincibleTween = null;
+        level.collectibles.forEach((pos, i) => {
+            const item = this.getItemDef(pos.type);
+            const c = this.physics.add.sprite(pos.x * T, pos.y * T, this.getItemTexture(item));
+            c.setScale(1);
+            c.itemIndex = i;
+            c.item = item;
+            this.collectibles.add(c);
+            this.addPulse(c, 1.1, 500);
+        });
+
+        // Exit portal - locked until every collectible is gathered
+        const exitPos = level.exit || { x: level.mapWidth - 3, y: level.mapHeight - 3 };
+        this.exitOpen = false;
+        this.exit = this.physics.add.staticImage(exitPos.x * T, exitPos.y * T, 'wormhole');
+        this.exit.setScale(0.8).setAlpha(0.35).setTint(0x666666).setDepth(5).refreshBody();
+        this.levelComplete = false;
+
+        // Enemies
+        this.enemies = this.add.group();
+        level.enemies.forEach(pos => {
+            const e = this.physics.add.sprite((pos.x + 0.5) * T, (pos.y + 0.5) * T, 'enemy_top');
+            e.setScale(0.65);
+            e.speed = this.config.difficulty.enemySpeed + this.rng.between(-10, 20);
+            e.body.setSize(32, 32);
+            // Patrol loop starts at the spawn tile
+            e.route = [{ x: pos.x, y: pos.y }].concat(pos.patrol || []);
+            e.routeIndex = 0;
+            e.sightRange = pos.sightRange || this.config.maze.ai.sightRange;
+            e.state = 'patrol';
+            e.path = [];
+            e.nextRepath = 0;
+            e.lastSeen = 0;
+            this.enemies.add(e);
+
+            this.tweens.add({
+                targets: e,
+                angle: { from: -3, to: 3 },
+                duration: 200,
+                yoyo: true,
+                repeat: -1
+            });
+        });
+
+        // Physics
+        this.physics.world.setBounds(0, 0, mapW, mapH);
+        this.physics.add.collider(this.player, this.walls);
+        this.physics.add.collider(this.player, this.gates);
+        this.physics.add.collider(this.enemies, this.walls);
+        this.physics.add.collider(this.enemies, this.gates);
+        this.physics.add.overlap(this.player, this.collectibles, this.collect, null, this);
+        this.physics.add.overlap(this.player, this.enemies, this.hitEnemy, null, this);
+        this.physics.add.overlap(this.player, this.exit, this.reachExit, null, this);
+
+        // Camera
+        this.cameras.main.setBounds(0, 0, mapW, mapH);
+        this.cameras.main.startFollow(this.player, true, 0.1, 0.1);
+        this.setupMinimap(mapW, mapH);
+
+        // Level timer - finishing under par time earns a bonus
+        this.levelTime = 0;
+        this.parTime = (level.parTime || 120) * 1000;
+        this.timerText = this.add.text(16, 16, '', {
+            fontSize: '18px',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setScrollFactor(0).setDepth(900);
+        this.hideFromMinimap(this.timerText);
+        this.updateTimerText();
+
+        // UI
+        this.updateUI();
+        this.showMessage(level.name, 1500);
+        this.saveProgress();
+    }
+
+    setupMinimap(mapW, mapH) {
+        const maxW = 160;
+        const maxH = 120;
+        const zoom = Math.min(maxW / mapW, maxH / mapH);
+        const w = Math.round(mapW * zoom);
+        const h = Math.round(mapH * zoom);
+        const x = this.cameras.main.width - w - 10;
+
+        this.minimap = this.cameras.add(x, 10, w, h).setZoom(zoom).setName('minimap');
+        // Extra cameras survive scene.restart(), so drop it on shutdown
+        this.events.once('shutdown', () => {
+            this.cameras.remove(this.minimap);
+            this.minimap = null;
+        });
+        this.minimap.setBounds(0, 0, mapW, mapH);
+        this.minimap.centerOn(mapW / 2, mapH / 2);
+        this.minimap.setBackgroundColor(0x000000);
+        this.minimap.setAlpha(0.85);
+
+        // Sprites are too small at minimap zoom; draw bold markers that only the minimap sees
+        const r = 3 / zoom;
+        this.playerMarker = this.add.circle(this.player.x, this.player.y, r, 0x22c55e).setDepth(50);
+        this.exitMarker = this.add.rectangle(this.exit.x, this.exit.y, r * 2.5, r * 2.5, 0x666666).setDepth(50);
+        this.cameras.main.ignore([this.playerMarker, this.exitMarker]);
+    }
+
+    updateTimerText() {
+        const secs = Math.floor(this.levelTime / 1000);
+        const mm = Math.floor(secs / 60);
+        const ss = String(secs % 60).padStart(2, '0');
+        const bonus = this.timeBonus();
+        const level = this.level;
+        this.timerText.setText(
+            `Time ${mm}:${ss}  Bonus ${bonus}\nItems ${this.collected}/${level.collectibles.length}` +
+            (this.exitOpen ? '  EXIT OPEN!' : '') +
+            (level.seed ? `\nSeed ${this.mazeSeed}` : '')
+        );
+    }
+
+    // 10 points for every second left under par time
+    timeBonus() {
+        return Math.max(0, Math.ceil((this.parTime - this.levelTime) / 1000)) * 10;
+    }
+
+    openExit() {
+        this.exitOpen = true;
+        this.exit.clearTint().setAlpha(1);
+        this.exitMarker.setFillStyle(0x8b5cf6);
+        this.tweens.add({
+            targets: this.exit,
+            angle: 360,
+            duration: 2000,
+            repeat: -1
+        });
+        soundManager.play('levelup');
+        this.showMessage('EXIT OPEN!', 1500);
+    }
+
+    reachExit() {
+        if (!this.exitOpen || this.gameOver || this.levelComplete) return;
+        this.levelComplete = true;
+        const bonus = this.timeBonus();
+        this.score += bonus;
+        if (bonus > 0) this.showFloatingText(this.player.x, this.player.y, `TIME BONUS +${bonus}`, '#22c55e');
+        this.updateUI();
+        this.nextLevel();
+    }
+
+    addWall(x, y, w, h, group = this.walls) {
+        const wall = this.add.tileSprite(x + w / 2, y + h / 2, w, h, 'walls');
+        group.add(wall);
+        wall.body.setSize(w, h);
+        wall.body.setOffset(-w / 2, -h / 2);
+        return wall;
+    }
+
+    // Look up a MAZE_CONFIG collectible by name, falling back to COIN
+    getItemDef(type) {
+        const items = this.config.maze.collectibles;
+        const name = (type || 'COIN').toUpperCase();
+        return items.find(c => c.name === name) || items[0];
+    }
+
+    getItemTexture(item) {
+        return item.name === 'COIN' ? 'coin' : 'item_' + item.name.toLowerCase();
+    }
+
+    collect(player, item) {
+        const def = item.item;
+        item.destroy();
+        this.collected++;
+        this.score += def.points || 0;
+        soundManager.play('collect');
+
+        switch (def.name) {
+            case 'KEY':
+                this.openGates();
+                break;
+            case 'STAR':
+                this.startInvincibility(def.duration || 8000);
+                break;
+            case 'HEART':
+                this.health = Math.min(this.config.difficulty.playerHealth, this.health + (def.heal || 25));
+                break;
+            case 'CHEST':
+                this.lives += def.extraLives || 0;
+                break;
+        }
+        this.showFloatingText(player.x, player.y - 20, def.title, def.name === 'COIN' ? '#ffd700' : '#ffffff');
+        this.updateUI();
+
+        const level = this.level;
+        if (this.collected >= level.collectibles.length && !this.exitOpen) {
+            this.openExit();
+        }
+        this.updateTimerText();
+    }
+
+    openGates() {
+        const gates = this.gates.getChildren().slice();
+        if (!gates.length) return;
+        const level = this.level;
+        (level.gates || []).forEach(w => this.pathFinder.setRect(w.x, w.y, w.w, w.h, false));
+        gates.forEach(g => {
+            this.physics.world.disable(g);
+            this.tweens.add({
+                targets: g,
+                alpha: 0,
+                duration: 600,
+                onComplete: () => g.destroy()
+            });
+        });
+        this.showMessage('A secret passage opens!', 1500);
+    }
+
+    startInvincibility(duration) {
+        this.invincible = true;
+        if (this.invincibleTimer) this.invincibleTimer.remove(false);
+        if (this.invincibleTween) this.invincibleTween.stop();
+        this.player.setTint(0xfde047);
+        this.invincibleTween = this.tweens.add({
+            targets: this.player,
+            alpha: 0.5,
+            duration: 120,
+            yoyo: true,
+            repeat: -1
+        });
+        this.invincibleTimer = this.clock.delayedCall(duration, () => {
+            this.invincible = false;
+            this.invincibleTween.stop();
+            this.player.setAlpha(1).clearTint();
+        });
+    }
+
+    hitEnemy(player, enemy) {
+        if (this.invincible) return;
+        const now = this.clock.now;
+        if (now - this.lastDamageTime < 1000) return;
+        this.lastDamageTime = now;
+
+        this.takeDamage(this.config.difficulty.enemyDamage);
+        player.setTint(0xff0000);
+        this.clock.delayedCall(200, () => player.clearTint());
+    }
+
+    resetPlayer() {
+        this.player.setPosition(80, 80);
+    }
+
+    tileOf(obj) {
+        const T = this.config.maze.tileSize;
+        return { x: Math.floor(obj.x / T), y: Math.floor(obj.y / T) };
+    }
+
+    // Enemy state machine: patrol -> chase (on sight) -> return (sight lost) -> patrol
+    updateEnemyAI(e, time, delta) {
+        const ai = this.config.maze.ai;
+        const et = this.tileOf(e);
+        const pt = this.tileOf(this.player);
+        const dist = Phaser.Math.Distance.Between(et.x, et.y, pt.x, pt.y);
+        const sees = dist <= e.sightRange && this.pathFinder.hasLineOfSight(et.x, et.y, pt.x, pt.y);
+
+        if (sees) {
+            e.lastSeen = time;
+            if (e.state !== 'chase') {
+                e.state = 'chase';
+                e.nextRepath = 0;
+                this.showFloatingText(e.x, e.y - 20, '!', '#ef4444');
+            }
+        } else if (e.state === 'chase' && time - e.lastSeen > ai.loseSightTime) {
+            // Head back to the closest patrol waypoint
+            const distTo = p => Phaser.Math.Distance.Between(et.x, et.y, p.x, p.y);
+            const best = e.route.reduce((bi, p, i) => (distTo(p) < distTo(e.route[bi]) ? i : bi), 0);
+            e.state = 'return';
+            e.routeIndex = best;
+            e.path = this.pathFinder.findPath(et.x, et.y, e.route[best].x, e.route[best].y) || [];
+        }
+
+        let speed = e.speed;
+        if (e.state === 'chase') {
+            speed *= ai.chaseSpeedMultiplier;
+            if (time >= e.nextRepath) {
+                e.path = this.pathFinder.findPath(et.x, et.y, pt.x, pt.y) || [];
+                e.nextRepath = time + ai.repathInterval;
+            }
+            // Same tile as the player: close in directly
+            if (!e.path.length && sees) {
+                this.physics.moveToObject(e, this.player, speed);
+                return;
+            }
+        }
+
+        if (this.followPath(e, speed, delta)) return;
+
+        // Path exhausted
+        if (e.state === 'return') {
+            e.state = 'patrol';
+        } else if (e.state === 'patrol' && e.route.length > 1) {
+            e.routeIndex = (e.routeIndex + 1) % e.route.length;
+            const wp = e.route[e.routeIndex];
+            e.path = this.pathFinder.findPath(et.x, et.y, wp.x, wp.y) || [];
+        }
+    }
+
+    // Steer toward the next tile centre; returns false once the path is used up
+    followPath(e, speed, delta) {
+        const T = this.config.maze.tileSize;
+        const reach = Math.max(4, (speed * delta) / 1000);
+        while (e.path.length) {
+            const next = e.path[0];
+            const tx = (next.x + 0.5) * T;
+            const ty = (next.y + 0.5) * T;
+            if (Phaser.Math.Distance.Between(e.x, e.y, tx, ty) > reach) {
+                const angle = Phaser.Math.Angle.Between(e.x, e.y, tx, ty);
+                e.setVelocity(Math.cos(angle) * speed, Math.sin(angle) * speed);
+                return true;
+            }
+            e.path.shift();
+        }
+        e.setVelocity(0);
+        return false;
+    }
+
+    fixedUpdate(time, delta) {
+        if (this.gameOver || !this.player) return;
+
+        // Level timer
+        this.levelTime += delta;
+        this.updateTimerText();
+        this.playerMarker.setPosition(this.player.x, this.player.y);
+
+        // Enemy AI
+        this.enemies.children.iterate(e => {
+            if (e) this.updateEnemyAI(e, time, delta);
+        });
+
+        // Player movement
+        const speed = this.config.difficulty.playerSpeed;
+        this.player.setVelocity(0);
+        let moving = false;
+
+        const c = this.controls;
+        if (c.left) {
+            this.player.setVelocityX(-speed);
+            this.player.flipX = true;
+            moving = true;
+        } else if (c.right) {
+            this.player.setVelocityX(speed);
+            this.player.flipX = false;
+            moving = true;
+        }
+
+        if (c.up) {
+            this.player.setVelocityY(-speed);
+            moving = true;
+        } else if (c.down) {
+            this.player.setVelocityY(speed);
+            moving = true;
+        }
+
+        // Normalize diagonal movement
+        if (this.player.body.velocity.x !== 0 && this.player.body.velocity.y !== 0) {
+            this.player.body.velocity.normalize().scale(speed);
+        }
+
+        this.player.anims.play(moving ? 'walk' : 'idle', true);
+    }
+}
+
+// ============================================
+// RUNNER GAME SCENE
+// ============================================
+class RunnerScene extends BaseGameScene {
+    constructor() {
+        super('RunnerScene');
+        this.speed = 300;
+        this.isJumping = false;
+        this.distance = 0;
+        this.coinCount = 0;
+        this.bgLayers = [];
+    }
+
+    create() {
+        soundManager.unlock();
+        this.setupPauseControls();
+        this.setupControls();
+
+        this.waitForTextures(() => {
+            this.setupRunner();
+            this.startSimulation();
+        });
+    }
+
+    waitForTextures(callback) {
+        const required = [
+            'ground', 'player_side', 'obstacle', 'coin',
+            'obstacle_rock', 'obstacle_log', 'obstacle_cactus', 'obstacle_crystal', 'obstacle_overhead'
+        ].concat(this.runnerThemeTextures().map(t => t.key));
+        const check = () => {
+            if (required.every(k => this.textures.exists(k))) {
+                if (!this.textures.exists('player')) {
+                    const src = this.textures.get('player_side').getSourceImage();
+                    this.textures.addSpriteSheet('player', src, { frameWidth: 48, frameHeight: 64 });
+                }
+                callback();
+            } else {
+                this.time.delayedCall(50, check);
+            }
+        };
+        check();
+    }
+
+    setupRunner() {
+        const cfg = this.config.runner;
+        this.speed = cfg.groundSpeed;
+        this.level = this.config.levels[this.currentLevel];
+        this.distance = 0;
+        this.scoredMeters = 0;
+        this.coinCount = 0;
+        // Continuing a saved run picks up its distance, coins and speed
+        const saved = this.resumeState;
+        if (saved) {
+            this.distance = saved.distance;
+            this.scoredMeters = Math.floor(saved.distance);
+            this.coinCount = saved.coins;
+            this.speed = saved.speed;
+        }
+        this.levelStartDistance = this.distance;
+        this.levelStartCoins = this.coinCount;
+        this.transitioning = false;
+        this.invulnerableUntil = 0;
+        this.checkpointFlags = [];
+        this.saveCheckpoint();
+
+        // Ground
+        this.ground = this.add.tileSprite(0, 550, 800, 50, 'ground').setOrigin(0);
+        this.physics.add.existing(this.ground, true);
+
+        // Sky, parallax layers, ground tint and obstacle set
+        this.sky = null;
+        this.bgLayers = [];
+        this.applyTheme(this.level);
+
+        // Player - anchored at the feet so sliding shrinks the hitbox towards the ground
+        this.player = this.physics.add.sprite(100, 480, 'player', 0);
+        this.player.setOrigin(0.5, 1);
+        this.player.setScale(0.8);
+        this.player.setCollideWorldBounds(true);
+        this.player.body.setGravityY(cfg.gravity);
+        this.jumpsUsed = 0;
+        this.jumpStart = 0;
+        this.jumpVelocity = 0;
+        this.sliding = false;
+
+        // Animations
+        if (!this.anims.exists('run')) {
+            this.anims.create({
+                key: 'run',
+                frames: this.anims.generateFrameNumbers('player', { start: 0, end: 3 }),
+                frameRate: 10,
+                repeat: -1
+            });
+        }
+        this.player.anims.play('run');
+
+        // Groups
+        this.obstacles = this.physics.add.group();
+        this.coins = this.physics.add.group();
+
+        // Collisions
+        this.physics.add.collider(this.player, this.ground);
+        this.physics.add.overlap(this.player, this.coins, this.collectCoin, null, this);
+        this.physics.add.overlap(this.player, this.obstacles, this.hitObstacle, null, this);
+
+        // Spawn timers
+        this.obstacleTimer = this.clock.addEvent({
+            delay: cfg.obstacleFrequency,
+            callback: this.spawnObstacle,
+            callbackScope: this,
+            loop: true
+        });
+
+        this.coinTimer = this.clock.addEvent({
+            delay: cfg.coinFrequency,
+            callback: this.spawnCoin,
+            callbackScope: this,
+            loop: true
+        });
+
+        // Distance meter and goal progress
+        this.meterText = this.add.text(16, 16, '', {
+            fontSize: '18px',
+            fill: '#ffffff',
+            stroke: '#000000',
+            strokeThickness: 3
+        }).setDepth(100);
+        this.goalBar = this.add.graphics().setDepth(100);
+        this.updateMeter();
+
+        this.updateUI();
+        this.showMessage(this.level.name, 1500);
+        this.saveProgress();
+    }
+
+    // Level-start state; setupRunner restores it when continuing
+    progressState() {
+        return { distance: this.distance, coins: this.coinCount, speed: this.speed };
+    }
+
+    // Progress towards the current level goal, 0..1
+    goalProgress() {
+        const goal = this.level.goal || {};
+        if (goal.coins) return Math.min(1, (this.coinCount - this.levelStartCoins) / goal.coins);
+        if (goal.distance) return Math.min(1, (this.distance - this.levelStartDistance) / goal.distance);
+        return 0;
+    }
+
+    updateMeter() {
+        const goal = this.level.goal || {};
+        let goalText = '';
+        if (goal.coins) goalText = `Goal: ${this.coinCount - this.levelStartCoins}/${goal.coins} coins`;
+        else if (goal.distance) goalText = `Goal: ${Math.floor(this.distance - this.levelStartDistance)}/${goal.distance} m`;
+        this.meterText.setText(`${Math.floor(this.distance)} m   Coins: ${this.coinCount}\n${goalText}`);
+
+        this.goalBar.clear();
+        this.goalBar.fillStyle(0x000000, 0.5).fillRect(16, 62, 200, 8);
+        this.goalBar.fillStyle(0x22c55e, 1).fillRect(16, 62, 200 * this.goalProgress(), 8);
+    }
+
+    saveCheckpoint() {
+        this.checkpoint = {
+            distance: this.distance,
+            coins: this.coinCount,
+            speed: this.speed,
+            score: this.score
+        };
+    }
+
+    // Small flag that scrolls past when a checkpoint is reached
+    showCheckpointFlag() {
+        const flag = this.add.container(820, 550).setDepth(-5);
+        flag.add(this.add.rectangle(0, -30, 3, 60, 0xdddddd));
+        flag.add(this.add.triangle(14, -50, 0, 0, 0, 16, 24, 8, 0x22c55e));
+        this.checkpointFlags.push(flag);
+        this.showFloatingText(this.player.x, this.player.y - 40, 'CHECKPOINT!', '#22c55e');
+    }
+
+    applyTheme(level) {
+        const themes = this.config.runner.themes;
+        const name = themes[level.theme] ? level.theme : Object.keys(themes)[0];
+        const theme = themes[name];
+
+        if (this.sky) this.sky.destroy();
+        this.bgLayers.forEach(l => l.destroy());
+
+        const top = Phaser.Display.Color.HexStringToColor(theme.sky[0]).color;
+        const bottom = Phaser.Display.Color.HexStringToColor(theme.sky[1]).color;
+        this.sky = this.add.graphics().setDepth(-30);
+        this.sky.fillGradientStyle(top, top, bottom, bottom, 1);
+        this.sky.fillRect(0, 0, 800, 600);
+
+        this.bgLayers = theme.layers.map((l, i) => {
+            const layer = this.add.tileSprite(0, 550 - l.height, 800, l.height, `bg_${name}_${i}`)
+                .setOrigin(0).setDepth(-20 + i);
+            layer.parallax = l.speed;
+            return layer;
+        });
+
+        const groundKey = `ground_${level.theme}`;
+        this.ground.setTexture(this.textures.exists(groundKey) ? groundKey : 'ground');
+        this.obstacleKinds = theme.obstacles;
+    }
+
+    // Move on to the next theme in place so the run keeps its speed
+    nextLevel() {
+        const levels = this.config.levels;
+        if (this.currentLevel >= levels.length - 1) {
+            super.nextLevel();
+            return;
+        }
+        this.transitioning = true;
+        this.currentLevel++;
+        this.level = levels[this.currentLevel];
+        this.rng = this.levelRandom();
+        this.levelStartDistance = this.distance;
+        this.levelStartCoins = this.coinCount;
+        this.levelStartScore = this.score;
+        gameSettings.unlockLevel('runner', this.currentLevel);
+        this.saveCheckpoint();
+        this.saveProgress();
+        soundManager.play('levelup');
+
+        this.cameras.main.fadeOut(300, 0, 0, 0);
+        this.cameras.main.once('camerafadeoutcomplete', () => {
+            this.applyTheme(this.level);
+            this.cameras.main.fadeIn(300, 0, 0, 0);
+            this.showMessage(this.level.name, 1500);
+            this.updateUI();
+            this.transitioning = false;
+        });
+    }
+
+    isOnGround() {
+        return this.player.body.touching.down || this.player.body.blocked.down;
+    }
+
+    jump() {
+        const cfg = this.config.runner;
+        if (this.isOnGround()) {
+            this.jumpsUsed = 0;
+        } else if (this.jumpsUsed === 0) {
+            // Falling without having jumped (e.g. after a respawn) uses up the ground jump
+            this.jumpsUsed = 1;
+        }
+        if (this.jumpsUsed >= cfg.maxJumps) return;
+
+        this.setSliding(false);
+        this.jumpVelocity = this.jumpsUsed === 0 ? cfg.jumpForce : cfg.doubleJumpForce;
+        this.jumpStart = this.clock.now;
+        this.jumpsUsed++;
+        this.player.setVelocityY(this.jumpVelocity);
+        soundManager.play('jump');
+
+        if (this.jumpsUsed > 1) {
+            this.tweens.add({ targets: this.player, angle: 360, duration: 400, onComplete: () => this.player.setAngle(0) });
+        }
+    }
+
+    setSliding(sliding) {
+        if (sliding === this.sliding) return;
+        this.sliding = sliding;
+        const scale = 0.8;
+        if (sliding) {
+            this.player.setScale(scale * 1.15, scale * this.config.runner.slideScale);
+            this.player.anims.pause();
+        } else {
+            this.player.setScale(scale);
+            this.player.anims.resume();
+        }
+    }
+
+    spawnObstacle() {
+        if (this.rng.next() < this.config.runner.overheadChance) {
+            this.spawnOverhead();
+            return;
+        }
+
+        const kind = this.rng.pick(this.obstacleKinds || ['crate']);
+        const key = kind === 'crate' ? 'obstacle' : `obstacle_${kind}`;
+        const obs = this.obstacles.create(850, 550, key);
+        obs.setOrigin(0.5, 1);
+        obs.setScale(0.8);
+        obs.setVelocityX(-this.speed);
+        obs.body.setAllowGravity(false);
+    }
+
+    // Hanging barrier whose beam clears a sliding player but not a standing one
+    spawnOverhead() {
+        const obs = this.obstacles.create(850, 515, 'obstacle_overhead');
+        obs.setOrigin(0.5, 1);
+        obs.setVelocityX(-this.speed);
+        obs.body.setAllowGravity(false);
+    }
+
+    spawnCoin() {
+        const y = this.rng.between(400, 520);
+        const coin = this.coins.create(850, y, 'coin');
+        coin.setVelocityX(-this.speed);
+        coin.body.setAllowGravity(false);
+    }
+
+    collectCoin(player, coin) {
+        coin.destroy();
+        this.coinCount++;
+        this.score += 10;
+        soundManager.play('collect');
+        this.updateUI();
+    }
+
+    hitObstacle(player, obstacle) {
+        if (this.clock.now < this.invulnerableUntil) return;
+        obstacle.destroy();
+        this.takeDamage(this.config.difficulty.enemyDamage);
+    }
+
+    // Respawn at the last checkpoint: progress since then is rolled back and the track cleared
+    resetPlayer() {
+        const cp = this.checkpoint;
+        this.distance = cp.distance;
+        this.coinCount = cp.coins;
+        this.speed = cp.speed;
+        // Coins and meters past the checkpoint are scored again on the next try
+        this.score = cp.score;
+        this.scoredMeters = Math.floor(cp.distance);
+        this.obstacles.clear(true, true);
+        this.coins.clear(true, true);
+
+        this.player.setPosition(100, 480);
+        this.player.setVelocity(0);
+        this.invulnerableUntil = this.clock.now + this.config.runner.respawnGrace;
+        this.tweens.add({
+            targets: this.player,
+            alpha: 0.3,
+            duration: 150,
+            yoyo: true,
+            repeat: Math.floor(this.config.runner.respawnGrace / 300) - 1,
+            onComplete: () => this.player.setAlpha(1)
+        });
+        this.updateMeter();
+    }
+
+    resultLines() {
+        const best = this.loadBestRun();
+        const distance = Math.floor(this.distance);
+        const isBest = distance > best.distance;
+        if (isBest) this.saveBestRun({ distance, coins: this.coinCount });
+        return [
+            `Distance: ${distance} m   Coins: ${this.coinCount}`,
+            isBest ? 'NEW BEST RUN!' : `Best run: ${best.distance} m, ${best.coins} coins`
+        ];
+    }
+
+    loadBestRun() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('aiqnex_runner_best'));
+            if (saved && typeof saved.distance === 'number') return saved;
+        } catch (_) {
+            // storage unavailable or corrupt
+        }
+        return { distance: 0, coins: 0 };
+    }
+
+    saveBestRun(run) {
+        try {
+            localStorage.setItem('aiqnex_runner_best', JSON.stringify(run));
+        } catch (_) {
+            // storage unavailable
+        }
+    }
+
+    fixedUpdate(time, delta) {
+        if (this.gameOver || !this.player) return;
+
+        // Scroll ground
+        const dt = delta / 1000;
+        this.ground.tilePositionX += this.speed * dt;
+
+        // Parallax background
+        this.bgLayers.forEach(l => {
+            l.tilePositionX += this.speed * l.parallax * dt;
+        });
+
+        // Distance travelled (1 point per new meter)
+        this.distance += (this.speed * dt) / this.config.runner.pixelsPerMeter;
+        const meters = Math.floor(this.distance);
+        if (meters > this.scoredMeters) {
+            this.score += meters - this.scoredMeters;
+            this.scoredMeters = meters;
+            this.updateUI();
+        }
+
+        // Checkpoints
+        if (this.distance - this.checkpoint.distance >= this.config.runner.checkpointInterval) {
+            this.saveCheckpoint();
+            this.showCheckpointFlag();
+        }
+        this.checkpointFlags.forEach(f => { f.x -= this.speed * dt; });
+        this.checkpointFlags = this.checkpointFlags.filter(f => {
+            if (f.x > -40) return true;
+            f.destroy();
+            return false;
+        });
+
+        // Level goal reached: next theme, or the end of the run
+        this.updateMeter();
+        if (!this.transitioning && this.goalProgress() >= 1) {
+            this.nextLevel();
+            if (this.gameOver) return;
+        }
+
+        // Jump control (space, up or tap): press to jump (again in mid-air), hold to jump higher
+        const cfg = this.config.runner;
+        const c = this.controls;
+        if (this.pressed('fire') || this.pressed('up') || this.pressed('pointerDown')) {
+            this.jump();
+        }
+        const jumpHeld = c.fire || c.up || c.pointerDown;
+        if (jumpHeld && this.player.body.velocity.y < 0 && time - this.jumpStart < cfg.jumpHoldTime) {
+            this.player.setVelocityY(this.jumpVelocity);
+        }
+
+        // Slide while down is held on the ground
+        this.setSliding(c.down && this.isOnGround());
+
+        // Clean up off-screen objects
+        this.obstacles.children.iterate(o => {
+            if (o && o.x < -50) o.destroy();
+        });
+        this.coins.children.iterate(c => {
+            if (c && c.x < -50) c.destroy();
+        });
+
+        // Increase speed over time (0.001 x speedIncrease per 60 Hz frame, scaled to the real frame time)
+        this.speed += this.config.runner.speedIncrease * 0.001 * (delta / (1000 / 60));
+        this.speed = Math.min(this.speed, this.config.runner.maxSpeed);
+    }
+}
+
+// ============================================
+// ADAPTIVE DIFFICULTY
+// ============================================
+// Tracks how the player is doing and keeps a scale factor (1 = as configured,
+// above 1 = harder) within ADAPTIVE_DIFFICULTY.minScale..maxScale.
+class AdaptiveDifficulty {
+    constructor(options = ADAPTIVE_DIFFICULTY) {
+        this.options = options;
+        this.scale = 1;
+        this.deaths = 0;
+        this.resetWindow();
+    }
+
+    // Counters since the last evaluation
+    resetWindow() {
+        this.shotsFired = 0;
+        this.shotsHit = 0;
+        this.damageTaken = 0;
+        this.windowDeaths = 0;
+    }
+
+    recordShots(count) {
+        this.shotsFired += count;
+    }
+
+    recordHit() {
+        this.shotsHit++;
+    }
+
+    recordDamage(amount) {
+        this.damageTaken += amount;
+    }
+
+    recordDeath() {
+        this.deaths++;
+        this.windowDeaths++;
+    }
+
+    // Faster than targetClearTime pushes the scale up, slower pulls it down
+    recordClear(elapsedMs) {
+        const target = this.options.targetClearTime;
+        this.nudge(Phaser.Math.Clamp((target - elapsedMs) / target, -1, 1));
+    }
+
+    // Periodic check: accuracy raises the scale, damage and deaths lower it
+    evaluate(maxHealth) {
+        let performance = 0;
+        if (this.shotsFired >= 5) {
+            const target = this.options.targetAccuracy;
+            const accuracy = this.shotsHit / this.shotsFired;
+            performance += Phaser.Math.Clamp((accuracy - target) / target, -1, 1) * 0.5;
+        }
+        performance -= Phaser.Math.Clamp(this.damageTaken / (maxHealth * 0.5), 0, 1);
+        if (this.windowDeaths > 0) performance -= 1;
+        this.nudge(performance);
+        this.resetWindow();
+    }
+
+    nudge(performance) {
+        const { minScale, maxScale, maxStep } = this.options;
+        this.scale = Phaser.Math.Clamp(this.scale + performance * maxStep, minScale, maxScale);
+    }
+
+    label() {
+        return `ADAPT x${this.scale.toFixed(2)}`;
+    }
+}
+
+// ============================================
+// SHOOTER GAME SCENE
+// ============================================
+class ShooterScene extends BaseGameScene {
+    constructor() {
+        super('ShooterScene');
+        this.lastFired = 0;
+    }
+
+    create() {
+        soundManager.unlock();
+        this.setupPauseControls();
+        this.setupControls();
+
+        this.waitForTextures(() => {
+            this.setupShooter();
+            this.startSimulation();
+        });
+    }
+
+    waitForTextures(callback) {
+        const required = ['stars_far', 'stars_near', 'player_top', 'enemy_top', 'bullet', 'enemy_shot', 'explosion_sheet', 'particle'];
+        const level = this.config.levels[this.currentLevel];
+        if (level && level.boss && level.boss.art) required.push(`boss_${this.currentLevel}`, `boss_${this.currentLevel}_core`);
+        const check = () => {
+            if (required.every(k => this.textures.exists(k))) {
+                if (!this.textures.exists('player')) {
+                    const src = this.textures.get('player_top').getSourceImage();
+                    this.textures.addSpriteSheet('player', src, { frameWidth: 64, frameHeight: 64 });
+                }
+                callback();
+            } else {
+                this.time.delayedCall(50, check);
+            }
+        };
+        check();
+    }
+
+    setupShooter() {
+        // Parallax starfield background
+        this.bgFar = this.add.tileSprite(0, 0, 800, 600, 'stars_far').setOrigin(0);
+        this.bgNear = this.add.tileSprite(0, 0, 800, 600, 'stars_near').setOrigin(0);
+
+        // Background decorations group (planets, nebulae - non-interactive)
+        this.bgDecorations = this.add.group();
+        this.spawnBackgroundProps();
+
+        // Player
+        this.player = this.physics.add.sprite(400, 500, 'player', 0);
+        this.player.setScale(0.7);
+        this.player.setCollideWorldBounds(true);
+        this.player.body.setCollideWorldBounds && this.player.body.setCollideWorldBounds(false);
+        this.playerShield = false;
+        this.weaponLevel = 1;
+        this.speedBoost = 1;
+        this.exhaust = this.effects.trail('thruster', this.player, 24);
+
+        // Groups
+        this.bullets = this.physics.add.group();
+        this.enemies = this.physics.add.group();
+        this.hazards = this.physics.add.group();
+        this.powerups = this.physics.add.group();
+        this.enemyShots = this.physics.add.group();
+        this.lasers = [];
+        this.boss = null;
+        this.bossCore = null;
+        this.inBossFight = false;
+
+        // Level state
+        this.levelDef = this.config.levels[this.currentLevel] || { enemyCount: 10, enemySpeed: 60, concepts: [] };
+        this.enemyFire = Object.assign({}, this.config.shooter.enemyFire, this.levelDef.enemyFire);
+        this.remainingEnemies = this.levelDef.enemyCount;
+        this.totalSpawns = 0;
+        this.hazardSpawns = 0;
+        this.powerupSpawns = 0;
+
+        // Spawn identities come from the run seed so the run log can be re-scored
+        this.streams = ShooterRules.streams(this.runSeed, this.currentLevel);
+        this.levelLogStart = this.runLog.length;
+        this.logEvent('L', this.currentLevel);
+
+        // Spawn enemies: the level's wave script, then the random spawner
+        this.enemyTimer = null;
+        this.waveTimeline = ShooterRules.waveTimeline(this.levelDef);
+        this.waveIndex = 0;
+        this.waveClock = 0;
+        if (!this.waveTimeline) this.startRandomSpawns();
+
+        // Spawn powerups periodically (unless a daily modifier turns them off)
+        this.powerupTimer = !this.config.shooter.powerups ? null : this.clock.addEvent({
+            delay: ShooterRules.powerupInterval,
+            callback: this.spawnPowerup,
+            callbackScope: this,
+            loop: true
+        });
+
+        this.setupAdaptive();
+
+        // Spawn comets occasionally
+        this.clock.addEvent({
+            delay: 12000,
+            callback: this.spawnComet,
+            callbackScope: this,
+            loop: true
+        });
+
+        // Collisions
+        this.physics.add.overlap(this.bullets, this.enemies, this.bulletHitEnemy, null, this);
+        this.physics.add.overlap(this.player, this.enemies, this.enemyHitPlayer, null, this);
+        this.physics.add.overlap(this.player, this.hazards, this.hazardHitPlayer, null, this);
+        this.physics.add.overlap(this.player, this.powerups, this.collectPowerup, null, this);
+        this.physics.add.overlap(this.bullets, this.hazards, this.bulletHitHazard, null, this);
+        this.physics.add.overlap(this.player, this.enemyShots, this.enemyShotHitPlayer, null, this);
+
+        // Friendly ad-ships carrying AIQNex logo (non-harmful)
+        this.friendly = this.physics.add.group();
+        // Prepare transparent version of the AIQNex logo if available
+        this.prepareLogoTexture();
+        this.clock.addEvent({ delay: 15000, loop: true, callback: this.spawnFriendly, callbackScope: this });
+
+        this.updateUI();
+        if (this.challenge) this.showMessage(`DAILY: ${this.challenge.modifiers.name}`, 2000);
+        this.saveProgress();
+    }
+
+    startRun(seed) {
+        super.startRun(seed);
+        this.runLog = [];
+        this.runClock = 0;
+        this.adaptive = null;
+
+        // A continued run keeps its log so the score can still be verified
+        const saved = this.resumeState;
+        if (saved && Array.isArray(saved.log)) {
+            this.runLog = saved.log.slice();
+            this.runClock = saved.clock || 0;
+        }
+        if (saved && this.adaptiveEnabled && saved.adaptiveScale) {
+            this.adaptive = new AdaptiveDifficulty();
+            this.adaptive.scale = saved.adaptiveScale;
+        }
+    }
+
+    // Saved at level start, where the weapon is back to level 1 and no boss has
+    // spawned yet, so only the run log and adaptive scale carry over
+    progressState() {
+        return {
+            log: this.runLog.slice(0, this.levelLogStart),
+            clock: this.runClock,
+            adaptiveScale: this.adaptive ? this.adaptive.scale : null
+        };
+    }
+
+    // Drop the abandoned attempt from the log; setupShooter logs the level again
+    restartLevel() {
+        if (this.runLog) this.runLog.length = this.levelLogStart;
+        super.restartLevel();
+    }
+
+    logEvent(code, arg) {
+        const entry = [Math.round(this.runClock), code];
+        if (arg !== undefined) entry.push(arg);
+        this.runLog.push(entry);
+    }
+
+    runSubmission() {
+        return { seed: this.runSeed, log: this.runLog, daily: !!this.challenge };
+    }
+
+    // Adaptive difficulty persists across the levels of a run
+    setupAdaptive() {
+        this.levelElapsed = 0;
+        if (!this.adaptiveEnabled) {
+            this.adaptive = null;
+            return;
+        }
+        if (!this.adaptive) this.adaptive = new AdaptiveDifficulty();
+
+        this.clock.addEvent({
+            delay: ADAPTIVE_DIFFICULTY.evaluateInterval,
+            callback: () => {
+                this.adaptive.evaluate(this.config.difficulty.playerHealth);
+                this.applyAdaptive();
+            },
+            loop: true
+        });
+        if (ADAPTIVE_DIFFICULTY.showInHud) {
+            this.adaptiveText = this.add.text(10, 578, '', {
+                fontSize: '14px',
+                fill: '#a78bfa',
+                stroke: '#000',
+                strokeThickness: 3
+            }).setDepth(1000);
+        }
+        this.applyAdaptive();
+    }
+
+    // Harder = faster spawns, faster enemies, rarer power-ups
+    applyAdaptive() {
+        const scale = this.adaptiveScale();
+        if (this.enemyTimer) this.enemyTimer.delay = Math.round(this.config.shooter.enemySpawnRate / scale);
+        if (this.powerupTimer) this.powerupTimer.delay = Math.round(ShooterRules.powerupInterval * scale);
+        if (this.adaptiveText) this.adaptiveText.setText(this.adaptive.label());
+    }
+
+    adaptiveScale() {
+        return this.adaptive ? this.adaptive.scale : 1;
+    }
+
+    spawnBackgroundProps() {
+        // Add distant planets and nebulae for atmosphere
+        const props = [
+            { key: 'nebula1', x: 100, y: 150, scale: 1.5, alpha: 0.3, speed: 5 },
+            { key: 'nebula2', x: 650, y: 400, scale: 1.2, alpha: 0.25, speed: 4 },
+            { key: 'planet1', x: 700, y: 80, scale: 0.6, alpha: 0.7, speed: 8 },
+            { key: 'planet2', x: 150, y: 350, scale: 0.4, alpha: 0.6, speed: 6 },
+            { key: 'ringed_planet', x: 400, y: -50, scale: 0.5, alpha: 0.5, speed: 3 },
+        ];
+        props.forEach(p => {
+            if (this.textures.exists(p.key)) {
+                const sprite = this.add.image(p.x, p.y, p.key);
+                sprite.setScale(p.scale).setAlpha(p.alpha).setDepth(-10);
+                sprite.scrollSpeed = p.speed;
+                this.bgDecorations.add(sprite);
+            }
+        });
+    }
+
+    spawnPowerup() {
+        const type = ShooterRules.rollPowerup(this.streams.powerups);
+        const x = this.rng.between(50, 750);
+        const p = this.powerups.create(x, -30, type);
+        p.setScale(0.9);
+        p.setVelocity(this.rng.between(-20, 20), 80);
+        p.powerupType = type;
+        p.runId = this.powerupSpawns++;
+        // Add floating animation
+        this.addPulse(p, 1.1, 500);
+    }
+
+    collectPowerup(player, powerup) {
+        const type = powerup.powerupType;
+        this.effects.burst('pickup', powerup.x, powerup.y);
+        powerup.destroy();
+        soundManager.play('collect');
+        this.score += ShooterRules.points.powerup;
+        this.logEvent('P', powerup.runId);
+
+        switch (type) {
+            case 'powerup_shield':
+                this.playerShield = true;
+                this.player.setTint(0x00ffff);
+                this.clock.delayedCall(5000, () => {
+                    this.playerShield = false;
+                    this.player.clearTint();
+                });
+                this.showFloatingText(player.x, player.y, 'SHIELD!', '#00ffff');
+                break;
+            case 'powerup_weapon':
+                this.weaponLevel = Math.min(3, this.weaponLevel + 1);
+                this.showFloatingText(player.x, player.y, 'WEAPON UP!', '#ff6600');
+                break;
+            case 'powerup_speed':
+                this.speedBoost = 1.5;
+                this.clock.delayedCall(5000, () => { this.speedBoost = 1; });
+                this.showFloatingText(player.x, player.y, 'SPEED!', '#ffdd00');
+                break;
+            case 'powerup_health':
+                this.health = Math.min(this.config.difficulty.playerHealth, this.health + 30);
+                this.showFloatingText(player.x, player.y, '+30 HP', '#ff4466');
+                break;
+        }
+        this.updateUI();
+    }
+
+    spawnComet() {
+        if (!this.textures.exists('comet')) return;
+        const x = this.rng.between(-50, 850);
+        const c = this.hazards.create(x, -60, 'comet');
+        c.setScale(0.7);
+        c.setVelocity(this.rng.between(-100, 100), this.rng.between(200, 350));
+        c.setRotation(Math.atan2(c.body.velocity.y, c.body.velocity.x));
+        c.damage = 35;
+    }
+
+    bulletHitHazard(bullet, hazard) {
+        this.effects.burst('impact', bullet.x, bullet.y);
+        bullet.destroy();
+        // Asteroids and mines can be destroyed, comets cannot
+        if (hazard.runId !== undefined && ShooterRules.isDestructible(hazard.texture.key)) {
+            this.destroyHazard(hazard);
+            this.score += ShooterRules.points.hazard;
+            this.logEvent('H', hazard.runId);
+            soundManager.play('enemy');
+            this.updateUI();
+        }
+    }
+
+    startRandomSpawns() {
+        this.enemyTimer = this.clock.addEvent({
+            delay: Math.round(this.config.shooter.enemySpawnRate / this.adaptiveScale()),
+            callback: this.spawnEnemy,
+            callbackScope: this,
+            loop: true
+        });
+    }
+
+    // Wave director: runs the level's script on its own clock (not scaled by
+    // adaptive difficulty, so run logs stay verifiable)
+    updateWaves(delta) {
+        if (!this.waveTimeline) return;
+        this.waveClock += delta;
+        const { entries } = this.waveTimeline;
+        while (this.waveIndex < entries.length && entries[this.waveIndex].time <= this.waveClock) {
+            this.runWave(entries[this.waveIndex++].wave);
+        }
+        if (this.waveIndex >= entries.length) {
+            this.waveTimeline = null;
+            if (!this.boss) this.startRandomSpawns();
+        }
+    }
+
+    runWave(wave) {
+        if (wave.name) this.showMessage(wave.name, 1500);
+        if (wave.enemy) {
+            const path = WAVE_PATHS[wave.path] || WAVE_PATHS.straight;
+            this.formationSlots(wave).forEach(slot => this.spawnWaveEnemy(wave, slot, path));
+        }
+        if (wave.hazards) {
+            const kind = ShooterRules.hazardKinds[wave.hazards.kind];
+            for (let i = 0; i < wave.hazards.count; i++) this.spawnHazard(kind);
+        }
+        if (wave.boss && !this.boss && this.levelDef.bossHealth) this.spawnBoss();
+    }
+
+    // Offsets per ship: dx across, dy further back, lag (ms) before it moves off
+    formationSlots(wave) {
+        const spacing = wave.spacing || 70;
+        return Array.from({ length: wave.count }, (_, i) => {
+            const side = i - (wave.count - 1) / 2;
+            switch (wave.formation) {
+                case 'v': return { dx: side * spacing, dy: Math.abs(side) * spacing * 0.6, lag: 0 };
+                case 'column': return { dx: 0, dy: 0, lag: i * 450 };
+                default: return { dx: side * spacing, dy: 0, lag: 0 };
+            }
+        });
+    }
+
+    spawnWaveEnemy(wave, slot, path) {
+        const ufo = wave.enemy === 'ufo';
+        const e = this.enemies.create((wave.x || 400) + slot.dx, -40 - slot.dy, ufo ? 'ufo' : 'enemy_top');
+        e.setScale(ufo ? 0.8 : 0.6);
+        e.health = ShooterRules.enemyHealth(this.currentLevel, ufo);
+        e.runId = this.totalSpawns++;
+        e.isUFO = ufo;
+        e.path = path;
+        e.pathTime = -slot.lag;
+        e.slot = slot;
+        e.x0 = e.x;
+        e.y0 = e.y;
+        e.speed = (this.levelDef.enemySpeed || this.config.difficulty.enemySpeed) * this.adaptiveScale();
+        if (path.type === 'bezier') e.setPosition(path.points[0][0] + slot.dx, path.points[0][1] - slot.dy);
+        this.armShooter(e, ufo ? 'ufo' : 'enemy');
+    }
+
+    // Steps a scripted enemy along its WAVE_PATHS entry
+    moveOnPath(e, delta) {
+        e.pathTime += delta;
+        if (e.pathTime < 0) return;
+        const path = e.path;
+        const fall = e.y0 + e.speed * e.pathTime / 1000;
+        switch (path.type) {
+            case 'sine':
+                e.setPosition(e.x0 + Math.sin(e.pathTime / path.period * Math.PI * 2) * path.amplitude, fall);
+                break;
+            case 'dive': {
+                const holdAt = Math.max(0, path.holdY - e.y0) / e.speed * 1000;
+                if (e.pathTime < holdAt) {
+                    e.setPosition(e.x0, fall);
+                } else if (e.pathTime >= holdAt + path.hold) {
+                    // Leave the path and fly at where the player is now
+                    const angle = Phaser.Math.Angle.Between(e.x, e.y, this.player.x, this.player.y);
+                    e.setVelocity(Math.cos(angle) * path.speed, Math.sin(angle) * path.speed);
+                    e.path = null;
+                }
+                break;
+            }
+            case 'bezier': {
+                const t = e.pathTime / path.duration;
+                if (t >= 1) {
+                    e.destroy();
+                    return;
+                }
+                const [p0, p1, p2, p3] = path.points;
+                const curve = Phaser.Math.Interpolation.CubicBezier;
+                e.setPosition(curve(t, p0[0], p1[0], p2[0], p3[0]) + e.slot.dx,
+                    curve(t, p0[1], p1[1], p2[1], p3[1]) - e.slot.dy);
+                break;
+            }
+            default:
+                e.setPosition(e.x0, fall);
+        }
+    }
+
+    spawnEnemy() {
+        // UFO or regular enemy, maybe with a hazard (see ShooterRules.rollSpawn)
+        const roll = ShooterRules.rollSpawn(this.streams.enemies, this.config.shooter);
+        const runId = this.totalSpawns++;
+        if (roll.ufo) {
+            this.spawnUFO(runId);
+        } else {
+            const x = this.rng.between(50, 750);
+            const e = this.enemies.create(x, -30, 'enemy_top');
+            e.setScale(0.6);
+            e.health = ShooterRules.enemyHealth(this.currentLevel, false);
+            e.runId = runId;
+            const speed = (this.levelDef.enemySpeed || this.config.difficulty.enemySpeed) * this.adaptiveScale();
+            e.setVelocity(this.rng.between(-20, 20), speed);
+            this.armShooter(e, 'enemy');
+        }
+        if (roll.hazard) this.spawnHazard(roll.hazard);
+        // Boss if this level defines one
+        if (!this.boss && this.levelDef.bossHealth && this.totalSpawns >= 4) {
+            this.spawnBoss();
+        }
+    }
+
+    spawnHazard(kind) {
+        const { key, scale, damage } = kind;
+        const x = this.rng.between(20, 780);
+        const h = this.hazards.create(x, -40, key);
+        h.setScale(scale);
+        h.setVelocity(this.rng.between(-30, 30), this.rng.between(80, 160));
+        h.setAngularVelocity(key === 'mine' ? 0 : this.rng.between(-60, 60));
+        h.damage = damage;
+        h.runId = this.hazardSpawns++;
+
+        // Mines blink red
+        if (key === 'mine') {
+            this.tweens.add({
+                targets: h,
+                alpha: 0.6,
+                duration: 300,
+                yoyo: true,
+                repeat: -1
+            });
+        }
+    }
+
+    spawnUFO(runId) {
+        const x = this.rng.between(50, 750);
+        const u = this.enemies.create(x, -40, 'ufo');
+        u.setScale(0.8);
+        u.health = ShooterRules.enemyHealth(this.currentLevel, true);
+        u.runId = runId;
+        u.setVelocity(0, 40 * this.adaptiveScale());
+        u.isUFO = true;
+        this.armShooter(u, 'ufo');
+        // UFO sways 150px right and back every 4s (see swayUFO)
+        u.swayX = u.x;
+        u.swayStart = this.clock.now;
+    }
+
+    // Sine in-out there and back, on the simulation clock
+    swayUFO(u) {
+        const t = (this.clock.now - u.swayStart) / 2000;
+        u.x = u.swayX + 75 * (1 - Math.cos(Math.PI * t));
+    }
+
+    // Level's boss definition (see LEVELS.shooter); levels without one get a
+    // single-phase boss firing the enemyFire.boss pattern
+    bossDef() {
+        if (this.levelDef.boss) return this.levelDef.boss;
+        const fire = this.enemyFire.boss;
+        return {
+            name: 'BOSS',
+            phases: [{ health: 1, movement: { type: 'sway', amplitude: 200, period: 6000 }, attacks: fire ? [fire] : [] }]
+        };
+    }
+
+    spawnBoss() {
+        const def = this.bossDef();
+        const boss = this.boss = this.physics.add.sprite(400, -80, def.art ? `boss_${this.currentLevel}` : 'enemy_top');
+        if (def.art) {
+            const r = def.art.size * 0.36;
+            boss.body.setCircle(r, def.art.size / 2 - r, def.art.size / 2 - r);
+        } else {
+            boss.setScale(1.6);
+        }
+        boss.maxHealth = (this.levelDef && this.levelDef.bossHealth) ? this.levelDef.bossHealth : 600;
+        boss.health = boss.maxHealth;
+        boss.def = def;
+        boss.phase = -1;
+        boss.entering = true;
+        boss.shielded = false;
+        boss.defeated = false;
+        this.bossClock = 0;
+        this.bossTimers = [];
+        this.bossShield = this.add.circle(boss.x, boss.y, boss.displayWidth * 0.5, 0x00e5ff, 0.15)
+            .setStrokeStyle(3, 0x00e5ff).setDepth(6).setVisible(false);
+
+        // Weak point overlap first so a bullet reaching the core doesn't also hit the hull
+        if (def.weakPoint) {
+            this.bossCore = this.physics.add.sprite(boss.x, boss.y + def.weakPoint.offsetY, `boss_${this.currentLevel}_core`);
+            this.addPulse(this.bossCore, 1.25, 400);
+            this.physics.add.overlap(this.bullets, this.bossCore, this.bulletHitBoss, null, this);
+        }
+        this.physics.add.overlap(this.bullets, boss, this.bulletHitBoss, null, this);
+        // show boss bar
+        this.updateUI();
+        // Pause regular enemy spawns during the boss fight
+        if (this.enemyTimer) {
+            try { this.enemyTimer.remove(false); } catch (_) {}
+            this.enemyTimer = null;
+        }
+        this.inBossFight = true;
+        this.showBossIntro(def);
+    }
+
+    showBossIntro(def) {
+        const band = this.add.rectangle(400, 250, 800, 100, 0x000000, 0.75).setDepth(1000);
+        const warning = this.add.text(400, 222, 'WARNING', {
+            fontSize: '18px',
+            fill: '#ef4444',
+            fontStyle: 'bold'
+        }).setOrigin(0.5).setDepth(1001);
+        const name = this.add.text(400, 262, def.name, {
+            fontSize: '38px',
+            fill: '#ffffff',
+            fontStyle: 'bold',
+            stroke: '#8b5cf6',
+            strokeThickness: 4
+        }).setOrigin(0.5).setDepth(1001);
+        const parts = [band, warning, name];
+        parts.forEach(p => p.setAlpha(0));
+        this.tweens.add({
+            targets: parts,
+            alpha: 1,
+            duration: 300,
+            hold: 1600,
+            yoyo: true,
+            onComplete: () => parts.forEach(p => p.destroy())
+        });
+        this.cameras.main.shake(400, 0.005);
+        soundManager.play('levelup');
+    }
+
+    // Entry, then the current phase's movement; the core and shield follow the hull
+    updateBoss(delta) {
+        const boss = this.boss;
+        const def = boss.def;
+        const restY = def.restY || 120;
+        if (boss.entering) {
+            boss.y = Math.min(restY, boss.y + 90 * delta / 1000);
+            if (boss.y >= restY) {
+                boss.entering = false;
+                this.enterBossPhase(0);
+            }
+        } else if (!boss.defeated) {
+            this.bossClock += delta;
+            // Ease towards the pattern's position so phase changes don't jump
+            const target = this.bossPosition(def.phases[boss.phase].movement, restY);
+            const ease = Math.min(1, delta / 150);
+            boss.x = Phaser.Math.Linear(boss.x, target.x, ease);
+            boss.y = Phaser.Math.Linear(boss.y, target.y, ease);
+        }
+        if (this.bossCore) this.bossCore.setPosition(boss.x, boss.y + def.weakPoint.offsetY);
+        this.bossShield.setPosition(boss.x, boss.y);
+    }
+
+    //   sway    - side to side, `amplitude` px each way every `period` ms
+    //   figure8 - sway plus a vertical bob at twice the rate
+    //   dive    - sway, plus a `depth` px lunge lasting `duration` ms every `every` ms
+    bossPosition(movement, restY) {
+        const t = (this.bossClock / movement.period) * Math.PI * 2;
+        const pos = { x: 400 + Math.sin(t) * movement.amplitude, y: restY };
+        if (movement.type === 'figure8') pos.y += Math.sin(t * 2) * movement.amplitude * 0.25;
+        if (movement.type === 'dive') {
+            const cycle = this.bossClock % movement.every;
+            if (cycle < movement.duration) pos.y += Math.sin((cycle / movement.duration) * Math.PI) * movement.depth;
+        }
+        return pos;
+    }
+
+    enterBossPhase(index) {
+        const boss = this.boss;
+        const phase = boss.def.phases[index];
+        boss.phase = index;
+        this.bossTimers.forEach(t => t.remove(false));
+        this.bossTimers = (phase.attacks || []).map(attack => this.clock.addEvent({
+            delay: attack.interval,
+            loop: true,
+            callback: () => this.bossAttack(attack)
+        }));
+        if (phase.shield) {
+            this.bossTimers.push(this.clock.addEvent({
+                delay: phase.shield.every,
+                loop: true,
+                callback: () => this.raiseBossShield(phase.shield.duration)
+            }));
+        }
+        if (index > 0) {
+            this.cameras.main.flash(300, 255, 255, 255);
+            soundManager.play('levelup');
+        }
+        if (phase.name) this.showMessage(phase.name, 1500);
+    }
+
+    // Telegraphed attacks tint the boss and draw a charging ring before firing
+    bossAttack(attack) {
+        const boss = this.boss;
+        const pattern = ENEMY_PATTERNS[attack.pattern];
+        if (!boss || boss.defeated) return;
+        if (!attack.telegraph) {
+            this.firePattern(boss, pattern);
+            return;
+        }
+        boss.setTint(0xff6666);
+        const ring = this.add.circle(boss.x, boss.y, 12).setStrokeStyle(3, 0xff3366).setDepth(7);
+        this.tweens.add({
+            targets: ring,
+            scale: 5,
+            alpha: 0,
+            duration: attack.telegraph,
+            onUpdate: () => ring.setPosition(boss.x, boss.y),
+            onComplete: () => ring.destroy()
+        });
+        this.clock.delayedCall(attack.telegraph, () => {
+            if (!boss.active || boss.defeated) return;
+            boss.clearTint();
+            this.firePattern(boss, pattern);
+        });
+    }
+
+    raiseBossShield(duration) {
+        const boss = this.boss;
+        if (!boss || boss.defeated) return;
+        boss.shielded = true;
+        this.bossShield.setVisible(true);
+        this.clock.delayedCall(duration, () => {
+            if (!boss.active) return;
+            boss.shielded = false;
+            this.bossShield.setVisible(false);
+        });
+    }
+
+    // Bonus, a chain of blasts, then the level ends
+    defeatBoss() {
+        const boss = this.boss;
+        boss.defeated = true;
+        boss.health = 0;
+        this.bossTimers.forEach(t => t.remove(false));
+        this.bossTimers = [];
+        this.bossShield.setVisible(false);
+        if (this.bossCore) {
+            this.bossCore.destroy();
+            this.bossCore = null;
+        }
+        this.enemyShots.clear(true, true);
+        this.lasers.forEach(l => l.gfx.destroy());
+        this.lasers = [];
+
+        const points = ShooterRules.bossPoints(this.levelDef);
+        if (points) {
+            this.score += points;
+            this.showFloatingText(boss.x, boss.y - 60, `+${points}`, '#ffd700');
+        }
+        this.updateUI();
+
+        const blasts = 6;
+        for (let i = 0; i < blasts; i++) {
+            this.clock.delayedCall(i * 180, () => {
+                const x = boss.x + Math.cos(i * 2.4) * 35;
+                const y = boss.y + Math.sin(i * 2.4) * 35;
+                this.effects.explode(x, y, 1.6);
+                boss.setTintFill(i % 2 ? 0xffffff : 0xff8800);
+                this.cameras.main.shake(150, 0.01);
+                soundManager.play('enemy');
+            });
+        }
+        this.tweens.add({
+            targets: boss,
+            alpha: 0,
+            scale: boss.scale * 1.4,
+            delay: blasts * 180,
+            duration: 500
+        });
+        this.clock.delayedCall(blasts * 180 + 500, () => {
+            this.effects.explode(boss.x, boss.y, 2.5);
+            boss.destroy();
+            this.bossShield.destroy();
+            this.boss = null;
+            this.inBossFight = false;
+            if (this.gameOver) return;
+            // Advance if not final level, else win
+            if (this.currentLevel < (this.config.levels.length - 1)) {
+                this.nextLevel();
+            } else {
+                this.endGame(true);
+            }
+        });
+    }
+
+    // Fire `role`'s pattern ('enemy', 'ufo' or 'boss', see enemyFire in config)
+    // from the sprite on a timer until it's destroyed
+    armShooter(sprite, role) {
+        const fire = this.enemyFire[role];
+        if (!fire || !ENEMY_PATTERNS[fire.pattern]) return;
+        if (fire.chance !== undefined && this.rng.next() >= fire.chance) return;
+        if (role === 'enemy') sprite.setTint(0xff9999);
+
+        const timer = this.clock.addEvent({
+            delay: fire.interval,
+            loop: true,
+            callback: () => {
+                if (sprite.y > 0 && sprite.y < this.scale.height) this.firePattern(sprite, ENEMY_PATTERNS[fire.pattern]);
+            }
+        });
+        sprite.once('destroy', () => timer.remove(false));
+    }
+
+    firePattern(source, pattern) {
+        if (!pattern || !this.player) return;
+        const x = source.x;
+        const y = source.y + source.displayHeight * 0.25;
+        switch (pattern.type) {
+            case 'aimed':
+                this.fireFan(x, y, Phaser.Math.Angle.Between(x, y, this.player.x, this.player.y), pattern);
+                break;
+            case 'spread':
+                this.fireFan(x, y, Math.PI / 2, pattern);
+                break;
+            case 'spiral': {
+                source.spiralAngle = (source.spiralAngle || 0) + Phaser.Math.DegToRad(pattern.turn);
+                for (let i = 0; i < pattern.count; i++) {
+                    this.spawnEnemyShot(x, y, source.spiralAngle + (Math.PI * 2 * i) / pattern.count, pattern);
+                }
+                break;
+            }
+            case 'laser':
+                this.fireLaser(source, pattern);
+                break;
         }
-        this.player.anims.play('run');
+    }
 
-        // Groups
-        this.obstacles = this.physics.add.group();
-        this.coins = this.physics.add.group();
+    // `count` shots spread evenly over `spread` degrees, centred on `angle`
+    fireFan(x, y, angle, pattern) {
+        const spread = Phaser.Math.DegToRad(pattern.spread || 0);
+        for (let i = 0; i < pattern.count; i++) {
+            const offset = pattern.count > 1 ? spread * (i / (pattern.count - 1) - 0.5) : 0;
+            this.spawnEnemyShot(x, y, angle + offset, pattern);
+        }
+    }
 
-        // Collisions
-        this.physics.add.collider(this.player, this.ground);
-        this.physics.add.overlap(this.player, this.coins, this.collectCoin, null, this);
-        this.physics.add.overlap(this.player, this.obstacles, this.hitObstacle, null, this);
+    spawnEnemyShot(x, y, angle, pattern) {
+        const shot = this.enemyShots.create(x, y, 'enemy_shot');
+        shot.setVelocity(Math.cos(angle) * pattern.speed, Math.sin(angle) * pattern.speed);
+        shot.damage = pattern.damage;
+        return shot;
+    }
 
-        // Spawn timers
-        this.obstacleTimer = this.time.addEvent({
-            delay: cfg.obstacleFrequency,
-            callback: this.spawnObstacle,
-            callbackScope: this,
-            loop: true
+    // Warning line first, then a beam that sweeps while following its source.
+    // Each sweep can hit the player once
+    fireLaser(source, pattern) {
+        source.laserDir = source.laserDir === 1 ? -1 : 1;
+        const half = Phaser.Math.DegToRad(pattern.sweep) / 2;
+        this.lasers.push({
+            source,
+            pattern,
+            from: Math.PI / 2 - half * source.laserDir,
+            to: Math.PI / 2 + half * source.laserDir,
+            elapsed: 0,
+            hit: false,
+            gfx: this.add.graphics().setDepth(6)
         });
+    }
 
-        this.coinTimer = this.time.addEvent({
-            delay: cfg.coinFrequency,
-            callback: this.spawnCoin,
-            callbackScope: this,
-            loop: true
+    updateLasers(delta) {
+        this.lasers = this.lasers.filter(laser => {
+            const { source, pattern, gfx } = laser;
+            laser.elapsed += delta;
+            const firing = laser.elapsed - pattern.warning;
+            if (!source.active || firing > pattern.duration) {
+                gfx.destroy();
+                return false;
+            }
+
+            const angle = firing < 0 ? laser.from : Phaser.Math.Linear(laser.from, laser.to, firing / pattern.duration);
+            const beam = new Phaser.Geom.Line(source.x, source.y, source.x + Math.cos(angle) * pattern.length,
+                source.y + Math.sin(angle) * pattern.length);
+            gfx.clear();
+            if (firing < 0) {
+                gfx.lineStyle(2, 0xff3366, Math.floor(laser.elapsed / 100) % 2 ? 0.25 : 0.7);
+                gfx.strokeLineShape(beam);
+                return true;
+            }
+            gfx.lineStyle(pattern.width, 0xff3366, 0.8);
+            gfx.strokeLineShape(beam);
+            gfx.lineStyle(pattern.width / 3, 0xffffff, 1);
+            gfx.strokeLineShape(beam);
+
+            const target = new Phaser.Geom.Circle(this.player.x, this.player.y, this.player.displayWidth * 0.3 + pattern.width / 2);
+            if (!laser.hit && Phaser.Geom.Intersects.LineToCircle(beam, target)) {
+                laser.hit = true;
+                this.playerHit(pattern.damage);
+            }
+            return true;
         });
+    }
 
-        // Controls
-        this.cursors = this.input.keyboard.createCursorKeys();
-        this.input.on('pointerdown', () => this.jump());
+    // Create a transparent version of the AIQNex logo by removing corner background
+    prepareLogoTexture() {
+        const rawKey = 'aiqnex_logo';
+        const cleanKey = 'aiqnex_logo_clean';
+        if (!this.textures.exists(rawKey) || this.textures.exists(cleanKey)) return;
+        try {
+            const img = this.textures.get(rawKey).getSourceImage();
+            const w = img.width, h = img.height;
+            const canvas = document.createElement('canvas');
+            canvas.width = w; canvas.height = h;
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0);
+            const data = ctx.getImageData(0, 0, w, h);
+            const px = data.data;
+            const r0 = px[0], g0 = px[1], b0 = px[2];
+            const threshold = 32;
+            for (let i = 0; i < px.length; i += 4) {
+                const r = px[i], g = px[i + 1], b = px[i + 2];
+                if (Math.abs(r - r0) < threshold && Math.abs(g - g0) < threshold && Math.abs(b - b0) < threshold) {
+                    px[i + 3] = 0;
+                }
+            }
+            ctx.putImageData(data, 0, 0);
+            this.textures.addBase64(cleanKey, canvas.toDataURL());
+        } catch (_) {
+            // ignore
+        }
+    }
+
+    fire() {
+        const now = this.clock.now;
+        if (now - this.lastFired < this.config.shooter.fireRate) return;
+        this.lastFired = now;
+
+        const bulletSpeed = this.config.shooter.bulletSpeed;
+        const px = this.player.x;
+        const py = this.player.y - 20;
+        const level = this.weaponLevel || 1;
+
+        if (this.adaptive) this.adaptive.recordShots(ShooterRules.bulletsPerShot(level));
+        this.logEvent('F', level);
+
+        // Level 1: Single shot
+        const b1 = this.bullets.create(px, py, 'bullet');
+        b1.setVelocityY(-bulletSpeed);
+
+        // Level 2: Double shot (side by side)
+        if (level >= 2) {
+            const b2 = this.bullets.create(px - 12, py, 'bullet');
+            const b3 = this.bullets.create(px + 12, py, 'bullet');
+            b2.setVelocityY(-bulletSpeed);
+            b3.setVelocityY(-bulletSpeed);
+        }
+
+        // Level 3: Add angled shots
+        if (level >= 3) {
+            const b4 = this.bullets.create(px - 20, py + 5, 'bullet');
+            const b5 = this.bullets.create(px + 20, py + 5, 'bullet');
+            b4.setVelocity(-80, -bulletSpeed * 0.9);
+            b5.setVelocity(80, -bulletSpeed * 0.9);
+        }
+
+        soundManager.play('shoot');
+    }
+
+    bulletHitEnemy(bullet, enemy) {
+        this.effects.burst('impact', bullet.x, bullet.y);
+        bullet.destroy();
+        if (this.adaptive) this.adaptive.recordHit();
+        this.logEvent('E', enemy.runId);
+        enemy.health -= this.config.shooter.bulletDamage;
+
+        if (enemy.health <= 0) {
+            this.effects.explode(enemy.x, enemy.y, enemy.isUFO ? 1.2 : 0.9);
+            enemy.destroy();
+            this.score += ShooterRules.points.enemy;
+            soundManager.play('enemy');
+            this.popupConcept(enemy.x, enemy.y);
+            // Track kills for level progression (non-boss levels)
+            if (this.remainingEnemies > 0) this.remainingEnemies--;
+            // If this level has no boss and all required enemies are defeated, advance
+            if (this.remainingEnemies <= 0 && !this.levelDef.bossHealth && this.currentLevel < (this.config.levels.length - 1)) {
+                // Stop spawning quickly to avoid extra spawns during transition
+                if (this.enemyTimer) this.enemyTimer.remove(false);
+                this.nextLevel();
+                return;
+            }
+            this.updateUI();
+        }
+    }
 
+    // Hull or weak point. Nothing gets through while the boss is entering or shielded
+    bulletHitBoss(bullet, target) {
+        this.effects.burst('impact', bullet.x, bullet.y);
+        bullet.destroy();
+        const boss = this.boss;
+        if (!boss || boss.defeated || boss.entering || boss.shielded) return;
+        const weak = target === this.bossCore;
+        if (this.adaptive) this.adaptive.recordHit();
+        this.logEvent(weak ? 'W' : 'B');
+        boss.health -= this.config.shooter.bulletDamage * (weak ? boss.def.weakPoint.multiplier : 1);
+        soundManager.play('enemy');
+        if (weak) {
+            boss.setTintFill(0xffffff);
+            this.clock.delayedCall(60, () => boss.active && !boss.defeated && boss.clearTint());
+        }
         this.updateUI();
+        if (boss.health <= 0) {
+            this.defeatBoss();
+            return;
+        }
+
+        // Phases are ordered by the health share they start at
+        const share = boss.health / boss.maxHealth;
+        const phase = boss.def.phases.reduce((found, p, i) => (share <= p.health ? i : found), 0);
+        if (phase > boss.phase) this.enterBossPhase(phase);
     }
 
-    jump() {
-        if (this.player.body.touching.down) {
-            this.player.setVelocityY(this.config.runner.jumpForce);
-            soundManager.play('jump');
+    spawnFriendly() {
+        const baseKey = this.textures.exists('aiqnex_logo_clean') ? 'aiqnex_logo_clean' : (this.textures.exists('aiqnex_logo') ? 'aiqnex_logo' : null);
+        if (!baseKey) return;
+        const x = this.rng.between(60, 740);
+        const y = -40;
+        const ship = this.friendly.create(x, y, baseKey);
+        ship.setScale(0.6);
+        ship.setVelocity(this.rng.between(-30, 30), this.rng.between(60, 120));
+        ship.setDepth(5);
+        ship.setImmovable(true);
+        ship.setTint(0xffffff);
+        // Make non-colliding harm; overlap just for visual
+        ship.body.checkCollision.none = true;
+        // Auto-destroy when off screen
+        ship.lifespan = this.clock.addEvent({ delay: 15000, callback: () => ship.destroy() });
+    }
+
+    // Anything that hurts the player goes through here so the shield blocks it
+    playerHit(damage) {
+        if (this.playerShield) {
+            soundManager.play('collect');
+            this.showFloatingText(this.player.x, this.player.y, 'BLOCKED!', '#00ffff');
+        } else {
+            this.takeDamage(damage);
         }
     }
 
-    spawnObstacle() {
-        const obs = this.obstacles.create(850, 510, 'obstacle');
-        obs.setScale(0.8);
-        obs.setVelocityX(-this.speed);
-        obs.body.setAllowGravity(false);
+    // Rocky hazards break up into debris; mines and the rest blow up
+    destroyHazard(hazard) {
+        const key = hazard.texture.key;
+        if (key === 'asteroid' || key === 'debris') {
+            this.effects.burst('debris', hazard.x, hazard.y);
+        } else {
+            this.effects.explode(hazard.x, hazard.y, key === 'mine' ? 1.2 : 0.8);
+        }
+        hazard.destroy();
     }
 
-    spawnCoin() {
-        const y = Phaser.Math.Between(400, 520);
-        const coin = this.coins.create(850, y, 'coin');
-        coin.setVelocityX(-this.speed);
-        coin.body.setAllowGravity(false);
+    enemyHitPlayer(player, enemy) {
+        this.effects.explode(enemy.x, enemy.y, 0.9);
+        enemy.destroy();
+        this.playerHit(this.config.difficulty.enemyDamage);
     }
 
-    collectCoin(player, coin) {
-        coin.destroy();
-        this.score += 10;
-        soundManager.play('collect');
-        this.updateUI();
+    hazardHitPlayer(player, hz) {
+        this.destroyHazard(hz);
+        this.playerHit(hz.damage || this.config.difficulty.enemyDamage);
     }
 
-    hitObstacle(player, obstacle) {
-        obstacle.destroy();
-        this.takeDamage(this.config.difficulty.enemyDamage);
+    enemyShotHitPlayer(player, shot) {
+        this.effects.burst('impact', shot.x, shot.y);
+        shot.destroy();
+        this.playerHit(shot.damage);
+    }
+
+    resetPlayer() {
+        this.player.setPosition(400, 500);
+    }
+
+    takeDamage(amount) {
+        if (this.adaptive) this.adaptive.recordDamage(amount);
+        super.takeDamage(amount);
+    }
+
+    loseLife() {
+        if (this.adaptive) this.adaptive.recordDeath();
+        super.loseLife();
+    }
+
+    nextLevel() {
+        if (this.adaptive) this.adaptive.recordClear(this.levelElapsed);
+        super.nextLevel();
+    }
+
+    fixedUpdate(time, delta) {
+        if (this.gameOver || !this.player) return;
+        const dt = delta / 1000;
+        this.levelElapsed += delta;
+        this.runClock += delta;
+
+        // Movement with speed boost
+        const baseSpeed = this.config.difficulty.playerSpeed;
+        const speed = baseSpeed * (this.speedBoost || 1);
+        this.player.setVelocity(0);
+
+        const c = this.controls;
+        if (c.left) {
+            this.player.setVelocityX(-speed);
+        } else if (c.right) {
+            this.player.setVelocityX(speed);
+        }
+
+        if (c.up) {
+            this.player.setVelocityY(-speed);
+        } else if (c.down) {
+            this.player.setVelocityY(speed);
+        }
+
+        // Thrust/forward drift
+        const thrusting = c.thrust;
+        if (this.exhaust) this.effects.updateTrail(this.exhaust, thrusting ? 2 : 1);
+        if (!this.thrust) this.thrust = 0.4;
+        const target = thrusting ? 1.0 : 0.4;
+        // Ease 5% of the way per 60 Hz frame, scaled to the real frame time
+        this.thrust += (target - this.thrust) * (1 - Math.pow(0.95, delta / (1000 / 60)));
+        if (thrusting && time - (this.lastThrustSound || 0) > 100) {
+            this.lastThrustSound = time;
+            soundManager.play('thrust');
+        }
+        this.player.setVelocityY(this.player.body.velocity.y - this.thrust * 2);
+        this.updateUI();
+
+        // Fire
+        if (c.fire) {
+            this.fire();
+        }
+
+        // Clean up off-screen objects
+        if (this.bullets && this.bullets.children) {
+            this.bullets.children.iterate(b => {
+                if (b && b.y < -20) b.destroy();
+            });
+        }
+        if (this.enemies && this.enemies.children) {
+            this.enemies.children.iterate(e => {
+                if (e && e.swayX !== undefined) this.swayUFO(e);
+                if (e && e.path) this.moveOnPath(e, delta);
+                if (e && e.active && (e.y > 650 || e.x < -100 || e.x > 900)) e.destroy();
+            });
+        }
+        if (this.hazards && this.hazards.children) {
+            this.hazards.children.iterate(h => {
+                if (h && h.y > 680) h.destroy();
+            });
+        }
+        if (this.powerups && this.powerups.children) {
+            this.powerups.children.iterate(p => {
+                if (p && p.y > 650) p.destroy();
+            });
+        }
+        // Enemy fire can leave through any edge
+        if (this.enemyShots && this.enemyShots.children) {
+            this.enemyShots.children.iterate(s => {
+                if (s && (s.x < -20 || s.x > 820 || s.y < -20 || s.y > 620)) s.destroy();
+            });
+        }
+        this.updateWaves(delta);
+        this.updateLasers(delta);
+        if (this.boss) this.updateBoss(delta);
+
+        // Parallax scrolling for space movement illusion
+        if (this.bgFar && this.bgNear) {
+            this.bgFar.tilePositionY -= 30 * dt;
+            this.bgNear.tilePositionY -= 72 * dt;
+        }
+
+        // Scroll background decorations (planets, nebulae)
+        if (this.bgDecorations && this.bgDecorations.children) {
+            this.bgDecorations.children.iterate(d => {
+                if (d) {
+                    d.y += (d.scrollSpeed || 5) * 6 * dt;
+                    if (d.y > 700) {
+                        d.y = -100;
+                        d.x = this.rng.between(50, 750);
+                    }
+                }
+            });
+        }
+
+        // Wrap player around screen edges for borderless space
+        const w = this.scale.width;
+        const h = this.scale.height;
+        if (this.player.x < -10) this.player.x = w + 10;
+        if (this.player.x > w + 10) this.player.x = -10;
+        if (this.player.y < -10) this.player.y = h + 10;
+        if (this.player.y > h + 10) this.player.y = -10;
     }
 
-    resetPlayer() {
-        this.player.setPosition(100, 480);
-        this.player.setVelocity(0);
+    // A term from this level's concepts; the first sighting unlocks it in the codex
+    popupConcept(x, y) {
+        const concepts = this.levelDef.concepts || [];
+        if (!concepts.length) return;
+        const term = this.rng.pick(concepts);
+        const txt = this.add.text(x, y, term, { fontSize: '16px', color: '#ffd700', stroke: '#000', strokeThickness: 3 }).setDepth(999);
+        this.tweens.add({ targets: txt, y: y - 40, alpha: 0, duration: 1200, onComplete: () => txt.destroy() });
+        // Replays show the popups but don't unlock anything
+        if (!this.replayPlayer && codex.unlock(term)) this.showCodexUnlock(term);
     }
 
-    update() {
-        if (this.gameOver || !this.player) return;
-
-        // Scroll ground
-        this.ground.tilePositionX += this.speed * 0.016;
-
-        // Jump control
-        if (this.cursors.space.isDown || this.cursors.up.isDown) {
-            this.jump();
+    showCodexUnlock(term) {
+        if (this.codexBanner) {
+            this.tweens.killTweensOf(this.codexBanner);
+            this.codexBanner.destroy();
         }
-
-        // Clean up off-screen objects
-        this.obstacles.children.iterate(o => {
-            if (o && o.x < -50) o.destroy();
-        });
-        this.coins.children.iterate(c => {
-            if (c && c.x < -50) c.destroy();
+        const banner = this.add.text(400, 570, `CODEX UNLOCKED: ${term}\n${CONCEPTS[term]}`, {
+            fontSize: '14px',
+            fill: '#00e5ff',
+            align: 'center',
+            stroke: '#000',
+            strokeThickness: 3,
+            wordWrap: { width: 640 }
+        }).setOrigin(0.5, 1).setDepth(999);
+        this.codexBanner = banner;
+        this.tweens.add({
+            targets: banner,
+            alpha: 0,
+            delay: 3000,
+            duration: 600,
+            onComplete: () => {
+                banner.destroy();
+                if (this.codexBanner === banner) this.codexBanner = null;
+            }
         });
-
-        // Increase speed over time
-        this.speed += this.config.runner.speedIncrease * 0.001;
-        this.speed = Math.min(this.speed, this.config.runner.maxSpeed);
-
-        // Score increases with time
-        this.score += 1;
-        if (this.score % 100 === 0) {
-            this.updateUI();
-        }
     }
 }
 
 // ============================================
-// SHOOTER GAME SCENE
+// STRATEGY GAME SCENE
 // ============================================
-class ShooterScene extends BaseGameScene {
+class StrategyScene extends BaseGameScene {
     constructor() {
-        super('ShooterScene');
-        this.lastFired = 0;
+        super('StrategyScene');
+        this.gold = 0;
+        this.wave = 0;
     }
 
     create() {
         soundManager.unlock();
+        this.setupPauseControls();
+        this.setupControls();
 
         this.waitForTextures(() => {
-            this.setupShooter();
+            this.setupStrategy();
+            this.startSimulation();
         });
     }
 
     waitForTextures(callback) {
-        const required = ['stars_far', 'stars_near', 'player_top', 'enemy_top', 'bullet'];
+        const required = ['tower', 'enemy_top', 'bullet'];
         const check = () => {
             if (required.every(k => this.textures.exists(k))) {
-                if (!this.textures.exists('player')) {
-                    const src = this.textures.get('player_top').getSourceImage();
-                    this.textures.addSpriteSheet('player', src, { frameWidth: 64, frameHeight: 64 });
-                }
                 callback();
             } else {
                 this.time.delayedCall(50, check);
@@ -892,542 +4107,752 @@ class ShooterScene extends BaseGameScene {
         check();
     }
 
-    setupShooter() {
-        // Parallax starfield background
-        this.bgFar = this.add.tileSprite(0, 0, 800, 600, 'stars_far').setOrigin(0);
-        this.bgNear = this.add.tileSprite(0, 0, 800, 600, 'stars_near').setOrigin(0);
-
-        // Background decorations group (planets, nebulae - non-interactive)
-        this.bgDecorations = this.add.group();
-        this.spawnBackgroundProps();
+    setupStrategy() {
+        const cfg = this.config.strategy;
+        this.levelDef = this.config.levels[this.currentLevel];
+        this.path = this.levelDef.pathPoints;
+        this.gold = cfg.startingGold;
+        this.wave = 0;
+        this.totalWaves = this.levelDef.waves || 5;
+        this.waveSpawning = false;
+        this.waveTimer = null;
 
-        // Player
-        this.player = this.physics.add.sprite(400, 500, 'player', 0);
-        this.player.setScale(0.7);
-        this.player.setCollideWorldBounds(true);
-        this.player.body.setCollideWorldBounds && this.player.body.setCollideWorldBounds(false);
-        this.playerShield = false;
-        this.weaponLevel = 1;
-        this.speedBoost = 1;
+        // Background
+        this.add.rectangle(0, 0, 800, 600, Phaser.Display.Color.HexStringToColor(this.config.theme.colors.background).color).setOrigin(0);
+
+        // Enemy path
+        const g = this.add.graphics();
+        g.lineStyle(36, Phaser.Display.Color.HexStringToColor(this.config.theme.colors.floor).color, 1);
+        g.beginPath();
+        g.moveTo(this.path[0].x, this.path[0].y);
+        this.path.slice(1).forEach(p => g.lineTo(p.x, p.y));
+        g.strokePath();
+        g.lineStyle(2, Phaser.Display.Color.HexStringToColor(this.config.theme.colors.primary).color, 0.4);
+        g.strokePath();
+
+        // Base at the end of the path
+        const end = this.path[this.path.length - 1];
+        this.add.circle(end.x, end.y, 24, Phaser.Display.Color.HexStringToColor(this.config.theme.colors.success).color, 0.6);
 
         // Groups
-        this.bullets = this.physics.add.group();
+        this.towers = this.add.group();
         this.enemies = this.physics.add.group();
-        this.hazards = this.physics.add.group();
-        this.powerups = this.physics.add.group();
-
-        // Level state
-        this.levelDef = this.config.levels[this.currentLevel] || { enemyCount: 10, enemySpeed: 60, concepts: [] };
-        this.remainingEnemies = this.levelDef.enemyCount;
-        this.totalSpawns = 0;
-
-        // Spawn enemies
-        this.enemyTimer = this.time.addEvent({
-            delay: this.config.shooter.enemySpawnRate,
-            callback: this.spawnEnemy,
-            callbackScope: this,
-            loop: true
-        });
-
-        // Spawn powerups periodically
-        this.time.addEvent({
-            delay: 8000,
-            callback: this.spawnPowerup,
-            callbackScope: this,
-            loop: true
-        });
+        this.bullets = this.physics.add.group();
 
-        // Spawn comets occasionally
-        this.time.addEvent({
-            delay: 12000,
-            callback: this.spawnComet,
-            callbackScope: this,
-            loop: true
-        });
+        // Range preview for tower placement
+        this.rangePreview = this.add.circle(0, 0, cfg.towerRange, 0xffffff, 0.08)
+            .setStrokeStyle(1, 0xffffff, 0.3).setVisible(false).setDepth(5);
 
         // Collisions
         this.physics.add.overlap(this.bullets, this.enemies, this.bulletHitEnemy, null, this);
-        this.physics.add.overlap(this.player, this.enemies, this.enemyHitPlayer, null, this);
-        this.physics.add.overlap(this.player, this.hazards, this.hazardHitPlayer, null, this);
-        this.physics.add.overlap(this.player, this.powerups, this.collectPowerup, null, this);
-        this.physics.add.overlap(this.bullets, this.hazards, this.bulletHitHazard, null, this);
 
-        // Friendly ad-ships carrying AIQNex logo (non-harmful)
-        this.friendly = this.physics.add.group();
-        // Prepare transparent version of the AIQNex logo if available
-        this.prepareLogoTexture();
-        this.time.addEvent({ delay: 15000, loop: true, callback: this.spawnFriendly, callbackScope: this });
+        // HUD
+        const hudStyle = { fontSize: '18px', fill: '#ffffff', stroke: '#000000', strokeThickness: 3 };
+        this.goldText = this.add.text(16, 16, '', hudStyle).setDepth(100);
+        this.waveText = this.add.text(784, 16, '', hudStyle).setOrigin(1, 0).setDepth(100);
+        this.updateHUD();
 
         // Controls
-        this.cursors = this.input.keyboard.createCursorKeys();
-        this.wasd = this.input.keyboard.addKeys('W,A,S,D');
-        this.fireKey = this.input.keyboard.addKey('SPACE');
-        this.thrustKey = this.input.keyboard.addKey('SHIFT');
-        // Mobile: fall back to on-screen controls
-        this.isMobile = /Mobi|Android|iPhone|iPad|iPod/i.test(navigator.userAgent);
+        this.input.on('pointermove', pointer => {
+            const ok = this.canPlaceTower(pointer.x, pointer.y);
+            this.rangePreview.setPosition(pointer.x, pointer.y).setVisible(true);
+            this.rangePreview.setFillStyle(ok ? 0xffffff : 0xff0000, 0.08);
+        });
 
         this.updateUI();
+        this.showMessage(this.levelDef.name, 1500);
+        this.scheduleWave();
+        this.saveProgress();
     }
 
-    spawnBackgroundProps() {
-        // Add distant planets and nebulae for atmosphere
-        const props = [
-            { key: 'nebula1', x: 100, y: 150, scale: 1.5, alpha: 0.3, speed: 5 },
-            { key: 'nebula2', x: 650, y: 400, scale: 1.2, alpha: 0.25, speed: 4 },
-            { key: 'planet1', x: 700, y: 80, scale: 0.6, alpha: 0.7, speed: 8 },
-            { key: 'planet2', x: 150, y: 350, scale: 0.4, alpha: 0.6, speed: 6 },
-            { key: 'ringed_planet', x: 400, y: -50, scale: 0.5, alpha: 0.5, speed: 3 },
-        ];
-        props.forEach(p => {
-            if (this.textures.exists(p.key)) {
-                const sprite = this.add.image(p.x, p.y, p.key);
-                sprite.setScale(p.scale).setAlpha(p.alpha).setDepth(-10);
-                sprite.scrollSpeed = p.speed;
-                this.bgDecorations.add(sprite);
+    updateHUD() {
+        if (!this.goldText) return;
+        this.goldText.setText(`Gold: ${this.gold}  (Tower: ${this.config.strategy.towerCost})`);
+        this.waveText.setText(`Wave ${this.wave}/${this.totalWaves}`);
+    }
+
+    scheduleWave() {
+        this.waveTimer = this.clock.delayedCall(this.config.strategy.waveDelay, this.startWave, [], this);
+    }
+
+    startWave() {
+        this.waveTimer = null;
+        this.wave++;
+        this.waveSpawning = true;
+        this.updateHUD();
+        this.showMessage(`Wave ${this.wave}`, 1200);
+
+        const count = this.levelDef.enemiesPerWave || this.config.strategy.enemiesPerWave;
+        this.spawnedThisWave = 0;
+        this.clock.addEvent({
+            delay: 800,
+            repeat: count - 1,
+            callback: () => {
+                this.spawnEnemy();
+                if (this.spawnedThisWave >= count) this.waveSpawning = false;
             }
         });
     }
 
-    spawnPowerup() {
-        const types = ['powerup_shield', 'powerup_weapon', 'powerup_speed', 'powerup_health'];
-        const type = types[Phaser.Math.Between(0, types.length - 1)];
-        const x = Phaser.Math.Between(50, 750);
-        const p = this.powerups.create(x, -30, type);
-        p.setScale(0.9);
-        p.setVelocity(Phaser.Math.Between(-20, 20), 80);
-        p.powerupType = type;
-        // Add floating animation
-        this.tweens.add({
-            targets: p,
-            scaleX: 1.1,
-            scaleY: 1.1,
-            duration: 500,
-            yoyo: true,
-            repeat: -1
-        });
+    spawnEnemy() {
+        if (this.gameOver) return;
+        const start = this.path[0];
+        const e = this.enemies.create(start.x, start.y, 'enemy_top');
+        e.setScale(0.5);
+        // Later waves get tougher
+        e.maxHealth = Math.round(this.levelDef.enemyHealth * (1 + (this.wave - 1) * 0.15));
+        e.health = e.maxHealth;
+        e.speed = this.config.difficulty.enemySpeed;
+        e.pathIndex = 1;
+        this.spawnedThisWave++;
+        this.steerEnemy(e);
     }
 
-    collectPowerup(player, powerup) {
-        const type = powerup.powerupType;
-        powerup.destroy();
-        soundManager.play('collect');
-        this.score += 50;
+    // Point the enemy at its next path point
+    steerEnemy(e) {
+        const target = this.path[e.pathIndex];
+        const angle = Phaser.Math.Angle.Between(e.x, e.y, target.x, target.y);
+        e.setVelocity(Math.cos(angle) * e.speed, Math.sin(angle) * e.speed);
+        e.setRotation(angle + Math.PI / 2);
+    }
 
-        switch (type) {
-            case 'powerup_shield':
-                this.playerShield = true;
-                this.player.setTint(0x00ffff);
-                this.time.delayedCall(5000, () => {
-                    this.playerShield = false;
-                    this.player.clearTint();
-                });
-                this.showFloatingText(player.x, player.y, 'SHIELD!', '#00ffff');
-                break;
-            case 'powerup_weapon':
-                this.weaponLevel = Math.min(3, this.weaponLevel + 1);
-                this.showFloatingText(player.x, player.y, 'WEAPON UP!', '#ff6600');
-                break;
-            case 'powerup_speed':
-                this.speedBoost = 1.5;
-                this.time.delayedCall(5000, () => { this.speedBoost = 1; });
-                this.showFloatingText(player.x, player.y, 'SPEED!', '#ffdd00');
-                break;
-            case 'powerup_health':
-                this.health = Math.min(this.config.difficulty.playerHealth, this.health + 30);
-                this.showFloatingText(player.x, player.y, '+30 HP', '#ff4466');
-                break;
+    // Shortest distance from a point to the path polyline
+    distanceToPath(x, y) {
+        let best = Infinity;
+        for (let i = 0; i < this.path.length - 1; i++) {
+            const a = this.path[i];
+            const b = this.path[i + 1];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lenSq = dx * dx + dy * dy;
+            const t = lenSq > 0 ? Phaser.Math.Clamp(((x - a.x) * dx + (y - a.y) * dy) / lenSq, 0, 1) : 0;
+            best = Math.min(best, Phaser.Math.Distance.Between(x, y, a.x + dx * t, a.y + dy * t));
         }
-        this.updateUI();
+        return best;
     }
 
-    spawnComet() {
-        if (!this.textures.exists('comet')) return;
-        const x = Phaser.Math.Between(-50, 850);
-        const c = this.hazards.create(x, -60, 'comet');
-        c.setScale(0.7);
-        c.setVelocity(Phaser.Math.Between(-100, 100), Phaser.Math.Between(200, 350));
-        c.setRotation(Math.atan2(c.body.velocity.y, c.body.velocity.x));
-        c.damage = 35;
+    canPlaceTower(x, y) {
+        if (x < 24 || x > 776 || y < 48 || y > 576) return false;
+        if (this.distanceToPath(x, y) < 40) return false;
+        return !this.towers.getChildren().some(t => Phaser.Math.Distance.Between(x, y, t.x, t.y) < 44);
     }
 
-    bulletHitHazard(bullet, hazard) {
+    placeTower(x, y) {
+        if (this.gameOver) return;
+        const cost = this.config.strategy.towerCost;
+        if (!this.canPlaceTower(x, y)) {
+            this.showFloatingText(x, y, "Can't build here", '#ef4444');
+            return;
+        }
+        if (this.gold < cost) {
+            this.showFloatingText(x, y, 'Not enough gold', '#ef4444');
+            return;
+        }
+
+        this.gold -= cost;
+        const t = this.add.image(x, y, 'tower').setDepth(10);
+        t.lastFired = 0;
+        this.towers.add(t);
+        soundManager.play('collect');
+        this.updateHUD();
+    }
+
+    towerFire(tower, target) {
+        const b = this.bullets.create(tower.x, tower.y - 8, 'bullet');
+        b.target = target;
+        b.damage = this.config.strategy.towerDamage;
+        this.physics.moveToObject(b, target, 400);
+        b.setRotation(Math.atan2(b.body.velocity.y, b.body.velocity.x));
+        soundManager.play('shoot');
+    }
+
+    bulletHitEnemy(bullet, enemy) {
         bullet.destroy();
-        // Asteroids and mines can be destroyed, comets cannot
-        if (hazard.texture.key === 'asteroid' || hazard.texture.key === 'mine') {
-            hazard.destroy();
-            this.score += 25;
+        enemy.health -= bullet.damage;
+        enemy.setTint(0xff6666);
+        this.clock.delayedCall(80, () => enemy.active && enemy.clearTint());
+
+        if (enemy.health <= 0) {
+            this.effects.explode(enemy.x, enemy.y, 0.7);
+            enemy.destroy();
+            this.gold += 10;
+            this.score += 20;
             soundManager.play('enemy');
+            this.showFloatingText(enemy.x, enemy.y, '+10g');
+            this.updateHUD();
             this.updateUI();
         }
     }
 
-    spawnEnemy() {
-        // 20% chance to spawn UFO instead of regular enemy
-        if (Math.random() < 0.2 && this.textures.exists('ufo')) {
-            this.spawnUFO();
-        } else {
-            const x = Phaser.Math.Between(50, 750);
-            const e = this.enemies.create(x, -30, 'enemy_top');
-            e.setScale(0.6);
-            e.health = 40 + Math.floor((this.currentLevel || 0) * 10);
-            e.setVelocity(Phaser.Math.Between(-20, 20), this.levelDef.enemySpeed || this.config.difficulty.enemySpeed);
+    // Enemy reached the base
+    enemyLeaked(enemy) {
+        enemy.destroy();
+        this.takeDamage(this.config.difficulty.enemyDamage);
+    }
+
+    checkWaveComplete() {
+        if (this.waveSpawning || this.waveTimer || this.wave === 0) return;
+        if (this.enemies.countActive(true) > 0) return;
+
+        if (this.wave >= this.totalWaves) {
+            this.nextLevel();
+            return;
         }
-        if (!this.totalSpawns) this.totalSpawns = 0;
-        this.totalSpawns++;
-        // Occasionally spawn hazards
-        if (Math.random() < 0.4) this.spawnHazard();
-        // Boss if this level defines one
-        if (!this.boss && this.levelDef.bossHealth && this.totalSpawns >= 4) {
-            this.spawnBoss();
+        // Wave clear bonus
+        const bonus = 25 + this.wave * 5;
+        this.gold += bonus;
+        this.score += 100;
+        this.showMessage(`Wave cleared! +${bonus} gold`, 1500);
+        this.updateHUD();
+        this.updateUI();
+        this.scheduleWave();
+    }
+
+    fixedUpdate(time, delta) {
+        if (this.gameOver || !this.enemies) return;
+
+        if (this.pressed('pointerDown')) this.placeTower(this.controls.pointerX, this.controls.pointerY);
+
+        // Move enemies along the path
+        const last = this.path.length - 1;
+        this.enemies.children.iterate(e => {
+            if (!e || !e.active) return;
+            const target = this.path[e.pathIndex];
+            if (Phaser.Math.Distance.Between(e.x, e.y, target.x, target.y) <= Math.max(4, (e.speed * delta) / 1000)) {
+                if (e.pathIndex >= last) {
+                    this.enemyLeaked(e);
+                    return;
+                }
+                e.setPosition(target.x, target.y);
+                e.pathIndex++;
+                this.steerEnemy(e);
+            }
+        });
+        if (this.gameOver) return;
+
+        // Towers target the enemy furthest along the path within range
+        const range = this.config.strategy.towerRange;
+        const rate = this.config.strategy.towerFireRate;
+        this.towers.getChildren().forEach(t => {
+            if (time - t.lastFired < rate) return;
+            let target = null;
+            this.enemies.children.iterate(e => {
+                if (!e || !e.active) return;
+                if (Phaser.Math.Distance.Between(t.x, t.y, e.x, e.y) > range) return;
+                if (!target || e.pathIndex > target.pathIndex) target = e;
+            });
+            if (target) {
+                t.lastFired = time;
+                this.towerFire(t, target);
+            }
+        });
+
+        // Bullets home in on their target and expire if it is gone
+        this.bullets.children.iterate(b => {
+            if (!b || !b.active) return;
+            if (!b.target || !b.target.active) {
+                b.destroy();
+                return;
+            }
+            this.physics.moveToObject(b, b.target, 400);
+            b.setRotation(Math.atan2(b.body.velocity.y, b.body.velocity.x));
+        });
+
+        this.checkWaveComplete();
+    }
+}
+
+// ============================================
+// MENU SCENE
+// ============================================
+class MenuScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'MenuScene' });
+    }
+
+    create() {
+        this.view = [];
+        this.drawBackground();
+        this.input.once('pointerdown', () => soundManager.unlock());
+        if (typeof window.setGenreUI === 'function') window.setGenreUI(gameSettings.genre);
+        this.showMain();
+    }
+
+    drawBackground() {
+        this.add.rectangle(0, 0, 800, 600, Phaser.Display.Color.HexStringToColor(THEME.colors.background).color).setOrigin(0);
+        const stars = this.add.graphics();
+        for (let i = 0; i < 120; i++) {
+            stars.fillStyle(0xffffff, Phaser.Math.FloatBetween(0.2, 0.9));
+            stars.fillCircle(Phaser.Math.Between(0, 800), Phaser.Math.Between(0, 600), Phaser.Math.FloatBetween(0.5, 1.8));
+        }
+    }
+
+    // Each screen's objects live in this.view so switching screens can clear them
+    clearView() {
+        this.view.forEach(o => o.destroy());
+        this.view = [];
+    }
+
+    addText(x, y, text, style) {
+        const t = this.add.text(x, y, text, style).setOrigin(0.5);
+        this.view.push(t);
+        return t;
+    }
+
+    addButton(x, y, label, onClick, fill = '#ffd700', fontSize = '20px') {
+        const btn = this.addText(x, y, `[ ${label} ]`, {
+            fontSize,
+            fill,
+            backgroundColor: '#1a1a3e',
+            padding: { x: 14, y: 7 }
+        }).setInteractive({ useHandCursor: true });
+        btn.on('pointerdown', () => {
+            soundManager.play('collect');
+            onClick();
+        });
+        return btn;
+    }
+
+    showMain() {
+        this.clearView();
+        const cx = 400;
+        const genres = Object.keys(GENRE_SCENES);
+        const difficulties = Object.keys(DIFFICULTY);
+
+        this.addText(cx, 110, GAME_INFO.title, {
+            fontSize: '36px',
+            fill: THEME.colors.primary,
+            fontStyle: 'bold'
+        });
+        this.addText(cx, 155, GAME_INFO.subtitle, { fontSize: '18px', fill: '#a78bfa' });
+
+        const saved = savedRun.get();
+        if (saved) {
+            this.addButton(cx, 188, `CONTINUE: ${saved.genre.toUpperCase()} L${saved.level + 1} · ${saved.score}`,
+                () => this.continueRun(saved), '#22c55e', '16px');
+        }
+
+        this.addButton(cx - 110, 230, 'PLAY', () => this.startGame(0), '#22c55e', '26px');
+        this.addButton(cx + 40, 230, 'SEED...', () => {
+            const seed = window.prompt('Play a specific seed:');
+            if (seed && seed.trim()) this.startGame(0, seed.trim());
+        }, '#00e5ff', '16px');
+        this.addButton(cx + 160, 230, 'REPLAY...', () => this.openReplay(), '#00e5ff', '16px');
+
+        // Genre and difficulty cycle on click
+        const genreBtn = this.addButton(cx, 290, '', () => {
+            const next = genres[(genres.indexOf(gameSettings.genre) + 1) % genres.length];
+            gameSettings.setGenre(next);
+            if (typeof window.setGenreUI === 'function') window.setGenreUI(next);
+            refresh();
+        });
+        const diffBtn = this.addButton(cx, 335, '', () => {
+            const next = difficulties[(difficulties.indexOf(gameSettings.difficulty) + 1) % difficulties.length];
+            gameSettings.setDifficulty(next);
+            refresh();
+        });
+        const adaptiveBtn = this.addButton(cx, 380, '', () => {
+            gameSettings.setAdaptive(!gameSettings.adaptive);
+            refresh();
+        }, '#ffd700', '16px');
+        const refresh = () => {
+            genreBtn.setText(`[ GENRE: ${gameSettings.genre.toUpperCase()} ]`);
+            diffBtn.setText(`[ DIFFICULTY: ${gameSettings.difficulty.toUpperCase()} ]`);
+            adaptiveBtn.setText(`[ ADAPTIVE: ${gameSettings.adaptive ? 'ON' : 'OFF'} ]`);
+        };
+        refresh();
+
+        this.addButton(cx - 120, 435, 'LEVEL SELECT', () => this.showLevelSelect());
+        this.addButton(cx + 120, 435, 'DAILY CHALLENGE', () => this.showDaily(), '#00e5ff');
+        this.addButton(cx - 120, 480, 'HIGH SCORES', () => this.showHighScores());
+        this.addButton(cx + 120, 480, 'CODEX', () => this.showCodex(), '#00e5ff');
+        this.addButton(cx, 525, 'CREDITS', () => this.showCredits());
+
+        this.addText(cx, 570, `v${GAME_INFO.version}  ·  ${GAME_INFO.author}`, { fontSize: '14px', fill: '#6b7280' });
+    }
+
+    showLevelSelect() {
+        this.clearView();
+        const cx = 400;
+        const type = gameSettings.genre;
+        const levels = LEVELS[type] || [];
+
+        this.addText(cx, 90, 'LEVEL SELECT', { fontSize: '32px', fill: '#ffffff', fontStyle: 'bold' });
+        this.addText(cx, 130, type.toUpperCase(), { fontSize: '16px', fill: '#a78bfa' });
+
+        levels.forEach((level, i) => {
+            const y = 190 + i * 55;
+            if (gameSettings.isLevelUnlocked(type, i)) {
+                this.addButton(cx, y, `${i + 1}. ${level.name}`, () => this.startGame(i));
+            } else {
+                this.addText(cx, y, `🔒 ${i + 1}. ${level.name}`, {
+                    fontSize: '20px',
+                    fill: '#4b5563',
+                    padding: { x: 14, y: 7 }
+                });
+            }
+        });
+
+        // The maze can also run endlessly on generated levels (see MAZE_CONFIG.generator)
+        if (type === 'maze') {
+            const y = 190 + levels.length * 55 + 20;
+            this.addButton(cx - 70, y, 'RANDOM MAZE', () => this.startRandomMaze(), '#00e5ff');
+            this.addButton(cx + 100, y, 'SEED...', () => {
+                const seed = window.prompt('Random maze seed:');
+                if (seed && seed.trim()) this.startRandomMaze(seed.trim());
+            }, '#00e5ff', '16px');
+        }
+
+        this.addButton(cx, 540, 'BACK', () => this.showMain(), '#a78bfa');
+    }
+
+    showHighScores() {
+        this.clearView();
+        const cx = 400;
+        const { genre, difficulty } = gameSettings;
+        const bucket = HighScores.bucket(genre, difficulty);
+
+        const title = this.addText(cx, 80, 'HIGH SCORES', { fontSize: '32px', fill: '#ffd700', fontStyle: 'bold' });
+        this.addText(cx, 120, bucket.toUpperCase().replace(/:/g, ' / '), { fontSize: '16px', fill: '#a78bfa' });
+        this.addButton(cx, 540, 'BACK', () => this.showMain(), '#a78bfa');
+
+        let rows = this.addScoreRows(cx, 170, highScores.list(bucket));
+
+        // Prefer the online table when the server answers
+        leaderboard.fetchTop({ genre, difficulty }).then(({ scores, verified }) => {
+            if (!title.active) return;
+            title.setText(LeaderboardClient.title(verified));
+            rows.forEach(o => o.destroy());
+            rows = this.addScoreRows(cx, 170, scores);
+        }).catch(() => {
+            // offline: keep the local table
+        });
+    }
+
+    // Table rows (or a placeholder) starting at y = top
+    addScoreRows(cx, top, list, spacing = 30) {
+        if (list.length === 0) {
+            return [this.addText(cx, top + 90, 'No scores yet - be the first!', { fontSize: '18px', fill: '#6b7280' })];
         }
+        return list.map((row, i) => this.addText(cx, top + i * spacing, `${HighScores.formatRow(row, i)}  ${row.date || ''}`, {
+            fontSize: '18px',
+            fontFamily: 'monospace',
+            fill: i === 0 ? '#ffd700' : '#ffffff'
+        }));
     }
 
-    spawnHazard() {
-        const roll = Math.random();
-        let key, scale, damage;
-
-        if (roll < 0.35) {
-            key = 'asteroid';
-            scale = 0.8;
-            damage = 25;
-        } else if (roll < 0.55) {
-            key = 'debris';
-            scale = 1.2;
-            damage = 10;
-        } else if (roll < 0.75 && this.textures.exists('mine')) {
-            key = 'mine';
-            scale = 0.9;
-            damage = 40;
-        } else if (this.textures.exists('satellite')) {
-            key = 'satellite';
-            scale = 0.7;
-            damage = 15;
+    // Today's challenge, attempts left and today's table
+    showDaily() {
+        this.clearView();
+        const cx = 400;
+        const challenge = dailyAttempts.today();
+        const remaining = dailyAttempts.remaining(challenge);
+        const { modifiers } = challenge;
+
+        this.addText(cx, 70, 'DAILY CHALLENGE', { fontSize: '32px', fill: '#ffd700', fontStyle: 'bold' });
+        this.addText(cx, 110, `${challenge.date}  ·  ${modifiers.name}`, { fontSize: '20px', fill: '#00e5ff' });
+        this.addText(cx, 140, modifiers.description, { fontSize: '16px', fill: '#a78bfa' });
+        this.addText(cx, 168, `SHOOTER  ·  ${DAILY_CHALLENGE.difficulty.toUpperCase()}  ·  ${remaining}/${DAILY_CHALLENGE.attempts} attempts left`, {
+            fontSize: '14px',
+            fill: '#6b7280'
+        });
+
+        if (remaining > 0) {
+            this.addButton(cx, 215, 'START', () => this.startDaily(challenge), '#22c55e', '24px');
         } else {
-            key = 'asteroid';
-            scale = 0.6;
-            damage = 20;
+            this.addText(cx, 215, 'Come back tomorrow for a new challenge', { fontSize: '18px', fill: '#ffffff' });
         }
 
-        const x = Phaser.Math.Between(20, 780);
-        const h = this.hazards.create(x, -40, key);
-        h.setScale(scale);
-        h.setVelocity(Phaser.Math.Between(-30, 30), Phaser.Math.Between(80, 160));
-        h.setAngularVelocity(key === 'mine' ? 0 : Phaser.Math.Between(-60, 60));
-        h.damage = damage;
+        const title = this.addText(cx, 262, "TODAY'S SCORES", { fontSize: '18px', fill: '#ffd700', fontStyle: 'bold' });
+        let rows = this.addScoreRows(cx, 292, highScores.list(HighScores.dailyBucket(challenge.date)), 25);
+        leaderboard.fetchTop({ daily: challenge.date }).then(({ scores }) => {
+            if (!title.active) return;
+            title.setText("TODAY'S ONLINE SCORES");
+            rows.forEach(o => o.destroy());
+            rows = this.addScoreRows(cx, 292, scores, 25);
+        }).catch(() => {
+            // offline: keep the local table
+        });
 
-        // Mines blink red
-        if (key === 'mine') {
-            this.tweens.add({
-                targets: h,
-                alpha: 0.6,
-                duration: 300,
-                yoyo: true,
-                repeat: -1
-            });
-        }
+        this.addButton(cx, 560, 'BACK', () => this.showMain(), '#a78bfa');
     }
 
-    spawnUFO() {
-        if (!this.textures.exists('ufo')) return;
-        const x = Phaser.Math.Between(50, 750);
-        const u = this.enemies.create(x, -40, 'ufo');
-        u.setScale(0.8);
-        u.health = 60 + Math.floor((this.currentLevel || 0) * 15);
-        u.setVelocity(0, 40);
-        u.isUFO = true;
-        // UFO moves in sine wave pattern
-        this.tweens.add({
-            targets: u,
-            x: u.x + 150,
-            duration: 2000,
-            yoyo: true,
-            repeat: -1,
-            ease: 'Sine.easeInOut'
+    // Shooter concepts by level with completion; unlocked ones show their definitions
+    showCodex() {
+        this.clearView();
+        const cx = 400;
+        const levels = LEVELS.shooter || [];
+        const total = Object.keys(CONCEPTS).length;
+
+        this.addText(cx, 90, 'CODEX', { fontSize: '32px', fill: '#00e5ff', fontStyle: 'bold' });
+        this.addText(cx, 130, `${codex.unlocked.length} / ${total} concepts unlocked`, { fontSize: '16px', fill: '#a78bfa' });
+
+        levels.forEach((level, i) => {
+            this.addButton(cx, 200 + i * 60, `${level.name}  ${codex.completion(level)}%`, () => this.showCodexLevel(level));
         });
-    }
 
-    spawnBoss() {
-        this.boss = this.physics.add.sprite(400, -80, 'enemy_top');
-        this.boss.setScale(1.6);
-        this.boss.maxHealth = (this.levelDef && this.levelDef.bossHealth) ? this.levelDef.bossHealth : 600;
-        this.boss.health = this.boss.maxHealth;
-        this.boss.setVelocityY(50);
-        this.bossTimer = this.time.addEvent({ delay: 800, callback: this.bossPattern, callbackScope: this, loop: true });
-        // show boss bar
-        this.updateUI();
-        // Enable player bullets to damage boss
-        this.physics.add.overlap(this.bullets, this.boss, this.bulletHitBoss, null, this);
-        // Pause regular enemy spawns during the boss fight
-        if (this.enemyTimer) {
-            try { this.enemyTimer.remove(false); } catch (_) {}
-            this.enemyTimer = null;
-        }
-        this.inBossFight = true;
+        this.addButton(cx, 540, 'BACK', () => this.showMain(), '#a78bfa');
     }
 
-    bossPattern() {
-        if (!this.boss || !this.boss.body) return;
-        // Sine wave across screen
-        const t = this.time.now / 1000;
-        this.boss.setVelocityX(Math.sin(t) * 120);
-        // Fire radial bullets downward
-        const shots = 8;
-        for (let i = 0; i < shots; i++) {
-            const angle = (Math.PI * 2 * i) / shots;
-            if (this.bullets) {
-                const b = this.bullets.create(this.boss.x, this.boss.y + 10, 'bullet');
-                b.setVelocity(Math.cos(angle) * 120, Math.sin(angle) * 120 + 60);
-                b.isEnemy = true;
+    showCodexLevel(level) {
+        this.clearView();
+        const cx = 400;
+
+        this.addText(cx, 80, level.name, { fontSize: '26px', fill: '#00e5ff', fontStyle: 'bold' });
+        this.addText(cx, 115, `${codex.completion(level)}% complete`, { fontSize: '16px', fill: '#a78bfa' });
+
+        (level.concepts || []).forEach((name, i) => {
+            const y = 160 + i * 70;
+            if (codex.has(name)) {
+                this.addText(cx, y, name, { fontSize: '18px', fill: '#ffd700' });
+                this.addText(cx, y + 26, CONCEPTS[name] || '', {
+                    fontSize: '14px',
+                    fill: '#d1d5db',
+                    align: 'center',
+                    wordWrap: { width: 620 }
+                });
+            } else {
+                this.addText(cx, y, '🔒 ???', { fontSize: '18px', fill: '#4b5563' });
+                this.addText(cx, y + 26, 'Defeat enemies in this level to unlock', { fontSize: '14px', fill: '#4b5563' });
             }
-        }
-    }
+        });
 
-    // Create a transparent version of the AIQNex logo by removing corner background
-    prepareLogoTexture() {
-        const rawKey = 'aiqnex_logo';
-        const cleanKey = 'aiqnex_logo_clean';
-        if (!this.textures.exists(rawKey) || this.textures.exists(cleanKey)) return;
-        try {
-            const img = this.textures.get(rawKey).getSourceImage();
-            const w = img.width, h = img.height;
-            const canvas = document.createElement('canvas');
-            canvas.width = w; canvas.height = h;
-            const ctx = canvas.getContext('2d');
-            ctx.drawImage(img, 0, 0);
-            const data = ctx.getImageData(0, 0, w, h);
-            const px = data.data;
-            const r0 = px[0], g0 = px[1], b0 = px[2];
-            const threshold = 32;
-            for (let i = 0; i < px.length; i += 4) {
-                const r = px[i], g = px[i + 1], b = px[i + 2];
-                if (Math.abs(r - r0) < threshold && Math.abs(g - g0) < threshold && Math.abs(b - b0) < threshold) {
-                    px[i + 3] = 0;
-                }
-            }
-            ctx.putImageData(data, 0, 0);
-            this.textures.addBase64(cleanKey, canvas.toDataURL());
-        } catch (_) {
-            // ignore
-        }
+        this.addButton(cx, 540, 'BACK', () => this.showCodex(), '#a78bfa');
     }
 
-    fire() {
-        const now = this.time.now;
-        if (now - this.lastFired < this.config.shooter.fireRate) return;
-        this.lastFired = now;
-
-        const bulletSpeed = this.config.shooter.bulletSpeed;
-        const px = this.player.x;
-        const py = this.player.y - 20;
-        const level = this.weaponLevel || 1;
+    showCredits() {
+        this.clearView();
+        const cx = 400;
+        const lines = [
+            GAME_INFO.title,
+            `Version ${GAME_INFO.version}`,
+            '',
+            `Created by ${GAME_INFO.author}`,
+            '',
+            'Built with Phaser 3',
+            'Sprites generated procedurally in sprites.js',
+            'Sound effects synthesized with the Web Audio API'
+        ];
 
-        // Level 1: Single shot
-        const b1 = this.bullets.create(px, py, 'bullet');
-        b1.setVelocityY(-bulletSpeed);
+        this.addText(cx, 100, 'CREDITS', { fontSize: '32px', fill: '#ffffff', fontStyle: 'bold' });
+        lines.forEach((line, i) => {
+            this.addText(cx, 170 + i * 32, line, { fontSize: '18px', fill: i === 0 ? THEME.colors.primary : '#d1d5db' });
+        });
 
-        // Level 2: Double shot (side by side)
-        if (level >= 2) {
-            const b2 = this.bullets.create(px - 12, py, 'bullet');
-            const b3 = this.bullets.create(px + 12, py, 'bullet');
-            b2.setVelocityY(-bulletSpeed);
-            b3.setVelocityY(-bulletSpeed);
-        }
+        this.addButton(cx, 520, 'BACK', () => this.showMain(), '#a78bfa');
+    }
 
-        // Level 3: Add angled shots
-        if (level >= 3) {
-            const b4 = this.bullets.create(px - 20, py + 5, 'bullet');
-            const b5 = this.bullets.create(px + 20, py + 5, 'bullet');
-            b4.setVelocity(-80, -bulletSpeed * 0.9);
-            b5.setVelocity(80, -bulletSpeed * 0.9);
-        }
+    // Fresh run of the selected genre starting at the given level
+    startGame(level, seed) {
+        this.launchRun(gameSettings.genre, level, { difficulty: gameSettings.difficulty, seed });
+    }
 
-        soundManager.play('shoot');
+    // Endless generated mazes from a fresh seed, or the given one
+    startRandomMaze(seed) {
+        this.launchRun('maze', 0, { difficulty: gameSettings.difficulty, seed, endless: true });
     }
 
-    bulletHitEnemy(bullet, enemy) {
-        bullet.destroy();
-        // Ignore if this is enemy bullet hitting enemy
-        if (bullet.isEnemy) return;
-        enemy.health -= this.config.shooter.bulletDamage;
+    // Uses up one of today's attempts; daily runs are always the shooter
+    startDaily(challenge) {
+        dailyAttempts.use(challenge);
+        gameSettings.setGenre('shooter');
+        if (typeof window.setGenreUI === 'function') window.setGenreUI('shooter');
+        this.launchRun('shooter', 0, { difficulty: DAILY_CHALLENGE.difficulty, seed: challenge.seed, daily: true });
+    }
 
-        if (enemy.health <= 0) {
-            enemy.destroy();
-            this.score += 50;
-            soundManager.play('enemy');
-            this.popupConcept(enemy.x, enemy.y);
-            // Track kills for level progression (non-boss levels)
-            if (this.remainingEnemies > 0) this.remainingEnemies--;
-            // If this level has no boss and all required enemies are defeated, advance
-            if (this.remainingEnemies <= 0 && !this.levelDef.bossHealth && this.currentLevel < (this.config.levels.length - 1)) {
-                // Stop spawning quickly to avoid extra spawns during transition
-                if (this.enemyTimer) this.enemyTimer.remove(false);
-                this.nextLevel();
-                return;
-            }
-            this.updateUI();
-        }
+    // Back to the start of the saved level with the saved score, lives and health
+    continueRun(saved) {
+        gameSettings.setGenre(saved.genre);
+        if (typeof window.setGenreUI === 'function') window.setGenreUI(saved.genre);
+        this.launchRun(saved.genre, saved.level, {
+            difficulty: saved.difficulty,
+            seed: saved.seed,
+            endless: !!saved.endless,
+            resume: saved
+        });
     }
 
-    bulletHitBoss(bullet, boss) {
-        if (bullet.isEnemy) return;
-        bullet.destroy();
-        boss.health -= this.config.shooter.bulletDamage;
-        soundManager.play('enemy');
-        this.updateUI();
-        if (boss.health <= 0) {
-            boss.destroy();
-            if (this.bossTimer) this.bossTimer.remove(false);
-            this.boss = null;
-            this.inBossFight = false;
-            // Advance if not final level, else win
-            if (this.currentLevel < (this.config.levels.length - 1)) {
-                if (this.enemyTimer) this.enemyTimer.remove(false);
-                this.nextLevel();
-            } else {
-                this.endGame(true);
-            }
-        }
+    launchRun(genre, level, data) {
+        soundManager.unlock();
+        const key = GENRE_SCENES[genre];
+        const scene = this.scene.get(key);
+        scene.currentLevel = level;
+        scene.score = 0;
+        this.scene.start(key, Object.assign({ newRun: true }, data));
     }
 
-    spawnFriendly() {
-        const baseKey = this.textures.exists('aiqnex_logo_clean') ? 'aiqnex_logo_clean' : (this.textures.exists('aiqnex_logo') ? 'aiqnex_logo' : null);
-        if (!baseKey) return;
-        const x = Phaser.Math.Between(60, 740);
-        const y = -40;
-        const ship = this.friendly.create(x, y, baseKey);
-        ship.setScale(0.6);
-        ship.setVelocity(Phaser.Math.Between(-30, 30), Phaser.Math.Between(60, 120));
-        ship.setDepth(5);
-        ship.setImmovable(true);
-        ship.setTint(0xffffff);
-        // Make non-colliding harm; overlap just for visual
-        ship.body.checkCollision.none = true;
-        // Auto-destroy when off screen
-        ship.lifespan = this.time.addEvent({ delay: 15000, callback: () => ship.destroy() });
+    // Pick a saved replay file and play it back
+    openReplay() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', () => {
+            const file = input.files && input.files[0];
+            if (!file) return;
+            file.text().then(text => {
+                const replay = JSON.parse(text);
+                if (!InputReplay.isValid(replay)) throw new Error('not a replay file');
+                this.startReplay(replay);
+            }).catch(e => {
+                window.alert('Could not load replay: ' + e.message);
+            });
+        });
+        input.click();
     }
 
-    enemyHitPlayer(player, enemy) {
-        enemy.destroy();
-        if (this.playerShield) {
-            soundManager.play('collect');
-            this.showFloatingText(player.x, player.y, 'BLOCKED!', '#00ffff');
-        } else {
-            this.takeDamage(this.config.difficulty.enemyDamage);
-        }
+    startReplay(replay) {
+        gameSettings.setGenre(replay.genre);
+        if (typeof window.setGenreUI === 'function') window.setGenreUI(replay.genre);
+        this.launchRun(replay.genre, replay.startLevel, {
+            difficulty: replay.difficulty,
+            seed: replay.seed,
+            daily: !!replay.daily,
+            endless: !!replay.endless,
+            resume: SavedRun.isValid(replay.resume) ? replay.resume : null,
+            replay
+        });
     }
+}
 
-    hazardHitPlayer(player, hz) {
-        hz.destroy();
-        if (this.playerShield) {
-            soundManager.play('collect');
-            this.showFloatingText(player.x, player.y, 'BLOCKED!', '#00ffff');
-        } else {
-            this.takeDamage(hz.damage || this.config.difficulty.enemyDamage);
-        }
+// ============================================
+// PAUSE MENU
+// ============================================
+class PauseScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'PauseScene' });
     }
 
-    resetPlayer() {
-        this.player.setPosition(400, 500);
+    init(data) {
+        this.targetKey = data.target;
     }
 
-    update() {
-        if (this.gameOver || !this.player) return;
-        if (!this.cursors || !this.wasd) return;
+    create() {
+        const cx = this.cameras.main.width / 2;
+        const target = this.scene.get(this.targetKey);
 
-        // Movement with speed boost
-        const baseSpeed = this.config.difficulty.playerSpeed;
-        const speed = baseSpeed * (this.speedBoost || 1);
-        this.player.setVelocity(0);
+        this.add.rectangle(0, 0, 800, 600, 0x000000, 0.6).setOrigin(0);
+        this.add.rectangle(cx, 310, 420, 500, 0x0d0518, 0.95).setStrokeStyle(2, 0x8b5cf6);
 
-        const m = window.mobileInput || {};
-        const left = (this.cursors.left && this.cursors.left.isDown) || (this.wasd.A && this.wasd.A.isDown) || m.left;
-        const right = (this.cursors.right && this.cursors.right.isDown) || (this.wasd.D && this.wasd.D.isDown) || m.right;
-        const up = (this.cursors.up && this.cursors.up.isDown) || (this.wasd.W && this.wasd.W.isDown) || m.up;
-        const down = (this.cursors.down && this.cursors.down.isDown) || (this.wasd.S && this.wasd.S.isDown) || m.down;
+        this.add.text(cx, 100, 'PAUSED', {
+            fontSize: '36px',
+            fill: '#ffffff',
+            fontStyle: 'bold'
+        }).setOrigin(0.5);
 
-        if (left) {
-            this.player.setVelocityX(-speed);
-        } else if (right) {
-            this.player.setVelocityX(speed);
+        // A daily challenge is one attempt at fixed settings: no restarts or difficulty changes
+        const daily = !!target.challenge;
+
+        this.addButton(cx, 155, 'RESUME', () => this.resumeGame());
+        if (daily) {
+            this.add.text(cx, 200, `DAILY CHALLENGE · ${target.challenge.modifiers.name}`, {
+                fontSize: '16px',
+                fill: '#00e5ff'
+            }).setOrigin(0.5);
+        } else {
+            this.addButton(cx, 200, 'RESTART LEVEL', () => {
+                this.scene.stop();
+                if (gameSettings.difficulty === target.difficultyName) {
+                    target.restartLevel();
+                } else {
+                    target.playAgain();
+                }
+            });
         }
+        this.addButton(cx, 245, 'QUIT TO MENU', () => {
+            this.scene.stop();
+            target.quitToMenu();
+        });
 
-        if (up) {
-            this.player.setVelocityY(-speed);
-        } else if (down) {
-            this.player.setVelocityY(speed);
+        // Volume
+        this.addSlider(cx, 300, 'Master', gameSettings.masterVolume, v => gameSettings.setVolume('masterVolume', v));
+        this.addSlider(cx, 340, 'Music', gameSettings.musicVolume, v => gameSettings.setVolume('musicVolume', v));
+        this.addSlider(cx, 380, 'SFX', gameSettings.sfxVolume, v => gameSettings.setVolume('sfxVolume', v));
+
+        // Difficulty
+        this.add.text(cx, 425, 'Difficulty', { fontSize: '16px', fill: '#a78bfa' }).setOrigin(0.5);
+        if (daily) {
+            this.add.text(cx, 460, `${target.difficultyName.toUpperCase()} (fixed for the daily challenge)`, {
+                fontSize: '14px',
+                fill: '#ffd700'
+            }).setOrigin(0.5);
+        } else {
+            this.setupDifficulty(cx);
         }
 
-        // Thrust/forward drift
-        const thrusting = (this.thrustKey && this.thrustKey.isDown) || m.thrust;
-        if (!this.thrust) this.thrust = 0.4;
-        const target = thrusting ? 1.0 : 0.4;
-        this.thrust += (target - this.thrust) * 0.05;
-        if (thrusting) soundManager.play('thrust');
-        this.player.setVelocityY(this.player.body.velocity.y - this.thrust * 2);
-        this.updateUI();
+        // Particle quality, cycled in place
+        const levels = Object.keys(EFFECTS_CONFIG.qualityLevels);
+        const effectsBtn = this.addButton(cx, 535, `EFFECTS: ${gameSettings.effects.toUpperCase()}`, () => {
+            gameSettings.setEffects(levels[(levels.indexOf(gameSettings.effects) + 1) % levels.length]);
+            effectsBtn.setText(`[ EFFECTS: ${gameSettings.effects.toUpperCase()} ]`);
+        }, '14px');
 
-        // Fire
-        if ((this.fireKey && this.fireKey.isDown) || m.fire) {
-            this.fire();
-        }
+        this.input.keyboard.on('keydown-ESC', () => this.resumeGame());
+        this.input.keyboard.on('keydown-P', () => this.resumeGame());
+    }
 
-        // Clean up off-screen objects
-        if (this.bullets && this.bullets.children) {
-            this.bullets.children.iterate(b => {
-                if (b && b.y < -20) b.destroy();
-            });
-        }
-        if (this.enemies && this.enemies.children) {
-            this.enemies.children.iterate(e => {
-                if (e && e.y > 650) e.destroy();
-            });
-        }
-        if (this.hazards && this.hazards.children) {
-            this.hazards.children.iterate(h => {
-                if (h && h.y > 680) h.destroy();
-            });
-        }
-        if (this.powerups && this.powerups.children) {
-            this.powerups.children.iterate(p => {
-                if (p && p.y > 650) p.destroy();
-            });
-        }
+    setupDifficulty(cx) {
+        this.difficultyButtons = Object.keys(DIFFICULTY).map((name, i, all) => {
+            const x = cx + (i - (all.length - 1) / 2) * 110;
+            const btn = this.addButton(x, 460, name.toUpperCase(), () => {
+                gameSettings.setDifficulty(name);
+                this.refreshDifficulty();
+            }, '14px');
+            btn.difficulty = name;
+            return btn;
+        });
+        this.difficultyNote = this.add.text(cx, 500, '', { fontSize: '13px', fill: '#a78bfa' }).setOrigin(0.5);
+        this.refreshDifficulty();
+    }
 
-        // Parallax scrolling for space movement illusion
-        if (this.bgFar && this.bgNear) {
-            this.bgFar.tilePositionY -= 0.5;
-            this.bgNear.tilePositionY -= 1.2;
-        }
+    addButton(x, y, label, onClick, fontSize = '20px') {
+        const btn = this.add.text(x, y, `[ ${label} ]`, {
+            fontSize,
+            fill: '#ffd700',
+            backgroundColor: '#1a1a3e',
+            padding: { x: 12, y: 6 }
+        }).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        btn.on('pointerdown', onClick);
+        return btn;
+    }
 
-        // Scroll background decorations (planets, nebulae)
-        if (this.bgDecorations && this.bgDecorations.children) {
-            this.bgDecorations.children.iterate(d => {
-                if (d) {
-                    d.y += (d.scrollSpeed || 5) * 0.1;
-                    if (d.y > 700) {
-                        d.y = -100;
-                        d.x = Phaser.Math.Between(50, 750);
-                    }
-                }
-            });
-        }
+    addSlider(cx, y, label, value, onChange) {
+        const width = 180;
+        const left = cx - width / 2 + 40;
+        this.add.text(left - 20, y, label, { fontSize: '16px', fill: '#ffffff' }).setOrigin(1, 0.5);
+        this.add.rectangle(left, y, width, 6, 0x333333).setOrigin(0, 0.5);
+        const fill = this.add.rectangle(left, y, width * value, 6, 0x8b5cf6).setOrigin(0, 0.5);
+        const handle = this.add.circle(left + width * value, y, 9, 0xffd700);
+        const pct = this.add.text(left + width + 14, y, `${Math.round(value * 100)}%`, {
+            fontSize: '14px',
+            fill: '#a78bfa'
+        }).setOrigin(0, 0.5);
+
+        const setFromPointer = pointer => {
+            const v = Phaser.Math.Clamp((pointer.x - left) / width, 0, 1);
+            fill.width = width * v;
+            handle.x = left + width * v;
+            pct.setText(`${Math.round(v * 100)}%`);
+            onChange(v);
+        };
+        const zone = this.add.zone(left - 10, y, width + 20, 24).setOrigin(0, 0.5).setInteractive({ useHandCursor: true });
+        zone.on('pointerdown', setFromPointer);
+        zone.on('pointermove', pointer => {
+            if (pointer.isDown) setFromPointer(pointer);
+        });
+    }
 
-        // Wrap player around screen edges for borderless space
-        const w = this.scale.width;
-        const h = this.scale.height;
-        if (this.player.x < -10) this.player.x = w + 10;
-        if (this.player.x > w + 10) this.player.x = -10;
-        if (this.player.y < -10) this.player.y = h + 10;
-        if (this.player.y > h + 10) this.player.y = -10;
+    refreshDifficulty() {
+        const current = this.scene.get(this.targetKey).difficultyName;
+        this.difficultyButtons.forEach(btn => {
+            btn.setStyle({ fill: btn.difficulty === gameSettings.difficulty ? '#22c55e' : '#ffd700' });
+        });
+        const changed = gameSettings.difficulty !== current;
+        this.difficultyNote.setText(changed ? 'Restarting starts a new run at this difficulty' : '');
     }
 
-    popupConcept(x, y) {
-        const qm = ['Superposition', 'Entanglement', 'Wavefunction', 'Decoherence', 'Quantum Tunneling'];
-        const agent = ['MCP', 'A2A', 'LLM Reasoning', 'Context Engineering', 'Multi-Agent'];
-        const pool = Math.random() < 0.5 ? qm : agent;
-        const term = pool[Math.floor(Math.random() * pool.length)];
-        const txt = this.add.text(x, y, term, { fontSize: '16px', color: '#ffd700', stroke: '#000', strokeThickness: 3 }).setDepth(999);
-        this.tweens.add({ targets: txt, y: y - 40, alpha: 0, duration: 1200, onComplete: () => txt.destroy() });
+    resumeGame() {
+        this.scene.stop();
+        this.scene.resume(this.targetKey);
     }
 }
 
@@ -1439,13 +4864,8 @@ async function loadAllAudio() {
 
     soundManager.unlock();
 
-    // Set volume from config
-    if (AUDIO_CONFIG.masterVolume !== undefined) {
-        soundManager.masterGain.gain.value = AUDIO_CONFIG.masterVolume;
-    }
-    if (AUDIO_CONFIG.musicVolume !== undefined) {
-        soundManager.setMusicVolume(AUDIO_CONFIG.musicVolume);
-    }
+    // Volumes from config, overridden by saved settings
+    gameSettings.applyAudio();
 
     // Load sound effects
     const sounds = AUDIO_CONFIG.sounds || {};
@@ -1464,26 +4884,9 @@ async function loadAllAudio() {
 // GAME INITIALIZATION
 // ============================================
 function initGame() {
-    const cfg = getGameConfig();
-
     // Load audio files from config
     loadAllAudio().catch(e => console.warn('Audio load error:', e));
 
-    // Select scene based on game type
-    let scene;
-    switch (cfg.type) {
-        case 'runner':
-            scene = RunnerScene;
-            break;
-        case 'shooter':
-            scene = ShooterScene;
-            break;
-        case 'maze':
-        default:
-            scene = MazeScene;
-            break;
-    }
-
     const config = {
         type: Phaser.AUTO,
         width: 800,
@@ -1501,12 +4904,25 @@ function initGame() {
                 debug: false
             }
         },
-        scene: scene
+        // The menu boots first; gameplay scenes are started from it
+        scene: [MenuScene, MazeScene, RunnerScene, ShooterScene, StrategyScene, PauseScene]
     };
 
     window.game = new Phaser.Game(config);
 }
 
+// Pause toggle (on-screen button)
+window.togglePause = () => {
+    if (!window.game) return;
+    const pause = window.game.scene.getScene('PauseScene');
+    if (pause && pause.sys.isActive()) {
+        pause.resumeGame();
+        return;
+    }
+    const scene = window.game.scene.getScenes(true).find(s => s instanceof BaseGameScene);
+    if (scene) scene.pauseGame();
+};
+
 // Sound toggle
 window.toggleSound = async () => {
     const enabled = await soundManager.toggle();
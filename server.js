@@ -1,10 +1,37 @@
 const http = require('http');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+const { ShooterRules, DailyChallenge } = require('./shared');
 
 const PORT = 8999;
 const ROOT = __dirname;
 
+// config.js is a browser script; evaluate it to reach the same settings the game uses
+const game = vm.runInNewContext(
+  fs.readFileSync(path.join(ROOT, 'config.js'), 'utf8') +
+  '\n;({ getGameConfig, LEVELS, DIFFICULTY, ADAPTIVE_DIFFICULTY, DAILY_CHALLENGE })',
+  {},
+  { filename: 'config.js' }
+);
+
+// Leaderboard storage (kept out of the static file tree)
+const SCORES_FILE = process.env.SCORES_FILE || path.join(ROOT, 'data', 'scores.json');
+const DATA_DIR = path.dirname(SCORES_FILE);
+const GENRES = Object.keys(game.LEVELS);
+// Genres whose runs the server can replay; the rest go to separate unverified tables
+const VERIFIED_GENRES = ['shooter'];
+const DIFFICULTIES = Object.keys(game.DIFFICULTY);
+const TABLE_SIZE = 10;
+const MAX_SCORE = 10000000;
+const MAX_BODY = 512 * 1024;        // shooter entries carry a run log
+const MAX_LOG_ENTRIES = 50000;
+
+// Per-IP fixed-window rate limits
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE_LIMITS = { GET: 60, POST: 10 };
+
 const mime = {
   '.html': 'text/html; charset=UTF-8',
   '.js': 'application/javascript; charset=UTF-8',
@@ -23,6 +50,253 @@ function send(res, status, headers, body) {
   if (body) res.end(body); else res.end();
 }
 
+function sendJson(res, status, data) {
+  send(res, status, {
+    'Content-Type': mime['.json'],
+    'Cache-Control': 'no-store'
+  }, JSON.stringify(data));
+}
+
+// ---------- Leaderboard ----------
+
+let scores = {};
+try {
+  scores = JSON.parse(fs.readFileSync(SCORES_FILE, 'utf8'));
+} catch (e) {
+  scores = {};
+}
+
+let saving = false;
+let saveQueued = false;
+
+// Write to a temp file and rename so a crash never leaves a half-written store
+function saveScores() {
+  if (saving) {
+    saveQueued = true;
+    return;
+  }
+  saving = true;
+  const tmp = SCORES_FILE + '.tmp';
+  fs.mkdir(DATA_DIR, { recursive: true }, () => {
+    fs.writeFile(tmp, JSON.stringify(scores), err => {
+      const done = () => {
+        saving = false;
+        if (saveQueued) {
+          saveQueued = false;
+          saveScores();
+        }
+      };
+      if (err) {
+        console.error('Failed to save scores:', err.message);
+        return done();
+      }
+      fs.rename(tmp, SCORES_FILE, renameErr => {
+        if (renameErr) console.error('Failed to save scores:', renameErr.message);
+        done();
+      });
+    });
+  });
+}
+
+const rateBuckets = new Map();
+
+function rateLimited(ip, method) {
+  const now = Date.now();
+  const key = method + ' ' + ip;
+  let bucket = rateBuckets.get(key);
+  if (!bucket || now - bucket.start >= RATE_WINDOW_MS) {
+    bucket = { start: now, count: 0 };
+    rateBuckets.set(key, bucket);
+  }
+  bucket.count++;
+  return bucket.count > (RATE_LIMITS[method] || 0);
+}
+
+// Drop expired windows so the map doesn't grow forever
+setInterval(() => {
+  const now = Date.now();
+  rateBuckets.forEach((bucket, key) => {
+    if (now - bucket.start >= RATE_WINDOW_MS) rateBuckets.delete(key);
+  });
+}, RATE_WINDOW_MS).unref();
+
+function tableKey(genre, difficulty) {
+  return genre + ':' + difficulty;
+}
+
+// Unverified scores never share a table with verified ones
+function unverifiedKey(genre, difficulty) {
+  return 'unverified:' + tableKey(genre, difficulty);
+}
+
+// Daily challenge tables are per date rather than per genre/difficulty
+function dailyKey(date) {
+  return 'daily:' + date;
+}
+
+// Daily entries are accepted for today's seed and yesterday's, so a run that
+// started before midnight UTC can still be submitted
+function isCurrentDailySeed(seed) {
+  const now = Date.now();
+  return [now, now - 24 * 60 * 60 * 1000].some(t => DailyChallenge.seedFor(new Date(t)) === seed);
+}
+
+// Daily attempts are limited on the server too: each address (hashed, like a
+// client id) gets DAILY_CHALLENGE.attempts entries per day. Only the dates
+// still accepted are kept
+function entrantsKey(date) {
+  return 'entrants:' + dailyKey(date);
+}
+
+function clientId(ip) {
+  return crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16);
+}
+
+function dailyEntries(date, ip) {
+  const id = clientId(ip);
+  return (scores[entrantsKey(date)] || []).filter(e => e === id).length;
+}
+
+function recordDailyEntrant(date, ip) {
+  const key = entrantsKey(date);
+  scores[key] = (scores[key] || []).concat(clientId(ip));
+  const prefix = entrantsKey('');
+  Object.keys(scores).forEach(k => {
+    if (k.indexOf(prefix) === 0 && !isCurrentDailySeed(DailyChallenge.seedFor(new Date(k.slice(prefix.length))))) delete scores[k];
+  });
+}
+
+// Returns an error message, or null when the entry is acceptable
+function validateEntry(entry) {
+  if (!entry || typeof entry !== 'object') return 'Body must be a JSON object';
+  if (GENRES.indexOf(entry.genre) === -1) return 'Unknown genre';
+  if (DIFFICULTIES.indexOf(entry.difficulty) === -1) return 'Unknown difficulty';
+  if (typeof entry.initials !== 'string' || !/^[A-Z]{1,3}$/.test(entry.initials)) return 'Initials must be 1-3 letters A-Z';
+  if (!Number.isInteger(entry.score) || entry.score < 0 || entry.score > MAX_SCORE) return 'Invalid score';
+  if (!Number.isInteger(entry.level) || entry.level < 1 || entry.level > 99) return 'Invalid level';
+  if (entry.genre === 'shooter') {
+    if (typeof entry.seed !== 'string' || !/^[\w-]{1,40}$/.test(entry.seed)) return 'Invalid seed';
+    if (!Array.isArray(entry.log) || entry.log.length > MAX_LOG_ENTRIES) return 'Invalid run log';
+  }
+  if (entry.daily !== undefined && typeof entry.daily !== 'boolean') return 'Invalid daily flag';
+  if (entry.daily) {
+    if (entry.genre !== 'shooter' || entry.difficulty !== game.DAILY_CHALLENGE.difficulty) return 'Not a daily challenge run';
+    if (!isCurrentDailySeed(entry.seed)) return 'Daily challenge has expired';
+  }
+  return null;
+}
+
+// Shooter scores are only accepted when replaying the run log under the game's
+// rules produces the same score. Other genres can't be replayed yet and are
+// kept in their own unverified tables. Daily runs use the day's modifiers and
+// never adapt.
+function verifyEntry(entry) {
+  if (VERIFIED_GENRES.indexOf(entry.genre) === -1) return null;
+  const challenge = entry.daily ? DailyChallenge.forSeed(entry.seed, game.DAILY_CHALLENGE.modifierSets) : null;
+  const cfg = game.getGameConfig(entry.difficulty, 'shooter', challenge && challenge.modifiers);
+  const bounds = challenge ? undefined : game.ADAPTIVE_DIFFICULTY;
+  const result = ShooterRules.verify(entry.seed, entry.log, cfg, bounds);
+  if (!result.ok) return 'Run rejected: ' + result.error;
+  if (result.score !== entry.score) return 'Score does not match run (replayed ' + result.score + ')';
+  return null;
+}
+
+// Verified rows keep a hash of the run's seed and log, so one run can't be
+// entered into a table more than once
+function runHash(entry) {
+  return crypto.createHash('sha256').update(JSON.stringify([entry.seed, entry.log])).digest('hex');
+}
+
+function readBody(req, callback) {
+  let body = '';
+  let tooLarge = false;
+  req.on('data', chunk => {
+    if (tooLarge) return;
+    body += chunk;
+    if (body.length > MAX_BODY) {
+      tooLarge = true;
+      callback(new Error('Payload too large'));
+    }
+  });
+  req.on('end', () => {
+    if (!tooLarge) callback(null, body);
+  });
+}
+
+function handleScores(req, res, query) {
+  const ip = req.socket.remoteAddress || 'unknown';
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+  if (rateLimited(ip, req.method)) {
+    return sendJson(res, 429, { error: 'Too many requests' });
+  }
+
+  if (req.method === 'GET') {
+    const daily = query.get('daily');
+    if (daily !== null) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(daily)) return sendJson(res, 400, { error: 'daily must be YYYY-MM-DD' });
+      return sendJson(res, 200, { verified: true, scores: scores[dailyKey(daily)] || [], unverified: [] });
+    }
+    const genre = query.get('genre');
+    const difficulty = query.get('difficulty');
+    if (GENRES.indexOf(genre) === -1 || DIFFICULTIES.indexOf(difficulty) === -1) {
+      return sendJson(res, 400, { error: 'genre and difficulty are required' });
+    }
+    return sendJson(res, 200, {
+      verified: VERIFIED_GENRES.indexOf(genre) !== -1,
+      scores: scores[tableKey(genre, difficulty)] || [],
+      unverified: scores[unverifiedKey(genre, difficulty)] || []
+    });
+  }
+
+  readBody(req, (err, body) => {
+    if (err) return sendJson(res, 413, { error: err.message });
+    let entry;
+    try {
+      entry = JSON.parse(body);
+    } catch (e) {
+      return sendJson(res, 400, { error: 'Invalid JSON' });
+    }
+    const problem = validateEntry(entry);
+    if (problem) return sendJson(res, 400, { error: problem });
+    const date = entry.daily ? DailyChallenge.dateOf(entry.seed) : null;
+    if (date && dailyEntries(date, ip) >= game.DAILY_CHALLENGE.attempts) {
+      return sendJson(res, 409, { error: 'Daily challenge already submitted' });
+    }
+    const rejected = verifyEntry(entry);
+    if (rejected) return sendJson(res, 422, { error: rejected });
+
+    const verified = VERIFIED_GENRES.indexOf(entry.genre) !== -1;
+    let key = unverifiedKey(entry.genre, entry.difficulty);
+    if (date) key = dailyKey(date);
+    else if (verified) key = tableKey(entry.genre, entry.difficulty);
+    const run = verified ? runHash(entry) : undefined;
+    if (run && (scores[key] || []).some(r => r.run === run)) {
+      return sendJson(res, 409, { error: 'This run has already been submitted' });
+    }
+    const row = {
+      initials: entry.initials,
+      score: entry.score,
+      level: entry.level,
+      verified,
+      run,
+      date: new Date().toISOString().slice(0, 10)
+    };
+    const table = (scores[key] || []).concat(row)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, TABLE_SIZE);
+    scores[key] = table;
+    if (date) recordDailyEntrant(date, ip);
+    saveScores();
+    sendJson(res, 201, verified
+      ? { rank: table.indexOf(row), verified, scores: table, unverified: [] }
+      : { rank: table.indexOf(row), verified, scores: [], unverified: table });
+  });
+}
+
+// ---------- Static files ----------
+
 function safeJoin(base, target) {
   const targetPath = path.posix.normalize('/' + target).replace(/^\/+/, '');
   return path.join(base, targetPath);
@@ -33,12 +307,16 @@ const server = http.createServer((req, res) => {
     // Strip query string (e.g., ?v=timestamp)
     const urlPath = req.url.split('?')[0] || '/';
 
+    if (urlPath === '/api/scores') {
+      return handleScores(req, res, new URLSearchParams(req.url.split('?')[1] || ''));
+    }
+
     // Default to index.html
     const filePath = urlPath === '/' ? 'index.html' : urlPath;
     const abs = safeJoin(ROOT, filePath);
 
-    // Prevent directory traversal
-    if (!abs.startsWith(ROOT)) {
+    // Prevent directory traversal (and never serve the score store)
+    if (!abs.startsWith(ROOT) || abs.startsWith(DATA_DIR + path.sep)) {
       return send(res, 403, { 'Content-Type': 'text/plain' }, 'Forbidden');
     }
 
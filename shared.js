@@ -0,0 +1,372 @@
+/**
+ * SHARED RULES
+ * ============
+ * Plain JavaScript used by both the browser game and server.js:
+ * the seeded random generator, the shooter's scoring rules and the
+ * daily challenge seed.
+ * No Phaser or DOM dependencies.
+ */
+
+// ============================================
+// SEEDED RANDOM
+// ============================================
+// Small deterministic PRNG (mulberry32) so generated content can be reproduced from a seed.
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hash(this.seed);
+    }
+
+    // FNV-1a string hash -> 32-bit unsigned int
+    static hash(str) {
+        let h = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x7fffffff).toString(36).toUpperCase();
+    }
+
+    // Float in [0, 1)
+    next() {
+        let t = (this.state = (this.state + 0x6d2b79f5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Integer in [min, max], inclusive like Phaser.Math.Between
+    between(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(arr) {
+        return arr[Math.floor(this.next() * arr.length)];
+    }
+
+    // Independent generator derived from this seed, so one consumer's draws
+    // don't shift another's sequence
+    stream(name) {
+        return new SeededRandom(`${this.seed}-${name}`);
+    }
+
+    // Fisher-Yates, in place
+    shuffle(arr) {
+        for (let i = arr.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [arr[i], arr[j]] = [arr[j], arr[i]];
+        }
+        return arr;
+    }
+}
+
+// ============================================
+// SHOOTER RULES
+// ============================================
+// Everything that decides the shooter's score: which enemy/hazard/power-up each
+// spawn is (rolled, or scripted by a level's waves), their health and point values. ShooterScene spawns from these and
+// records a run log; server.js replays the log with verify() to check a
+// submitted score.
+//
+// Run log entries are [time, code, arg] with time in ms of unpaused play:
+//   'L' level  - a level (re)starts
+//   'F' weapon - shot fired at this weapon level
+//   'E' index  - player bullet hit the index-th enemy spawned this level
+//   'H' index  - player bullet destroyed the index-th hazard spawned this level
+//   'P' index  - the index-th power-up of this level was collected
+//   'B'        - player bullet hit the boss
+//   'W'        - player bullet hit the boss's weak point
+const ShooterRules = {
+    points: { enemy: 50, hazard: 25, powerup: 50 },
+    powerupTypes: ['powerup_shield', 'powerup_weapon', 'powerup_speed', 'powerup_health'],
+    powerupInterval: 8000,
+
+    // Level generator for a run seed (BaseGameScene.levelRandom uses the same derivation)
+    levelRandom(seed, level) {
+        return new SeededRandom(`${seed}-L${level}`);
+    },
+
+    // Separate streams so enemy and power-up identities don't depend on timer order
+    streams(seed, level) {
+        const rng = ShooterRules.levelRandom(seed, level);
+        return {
+            enemies: rng.stream('enemies'),
+            powerups: rng.stream('powerups')
+        };
+    },
+
+    // One enemy spawn: maybe a UFO, maybe a hazard alongside it (chances from
+    // cfg.shooter). Always two draws so modifiers don't shift later identities
+    rollSpawn(rng, shooter) {
+        const ufo = rng.next() < shooter.ufoChance;
+        const hazard = rng.next() < shooter.hazardChance ? ShooterRules.rollHazard(rng) : null;
+        return { ufo, hazard };
+    },
+
+    hazardKinds: {
+        asteroid: { key: 'asteroid', scale: 0.8, damage: 25 },
+        debris: { key: 'debris', scale: 1.2, damage: 10 },
+        mine: { key: 'mine', scale: 0.9, damage: 40 },
+        satellite: { key: 'satellite', scale: 0.7, damage: 15 }
+    },
+
+    rollHazard(rng) {
+        const roll = rng.next();
+        const kinds = ShooterRules.hazardKinds;
+        if (roll < 0.35) return kinds.asteroid;
+        if (roll < 0.55) return kinds.debris;
+        if (roll < 0.75) return kinds.mine;
+        return kinds.satellite;
+    },
+
+    // A level's scripted waves on the level clock, each entry `delay` ms after the
+    // previous one: { entries: [{ time, wave }], end }, or null when the level has
+    // no script. Scripted enemies and hazards take the first spawn indices, in
+    // entry order; the random spawner continues the numbering after `end`.
+    waveTimeline(levelDef) {
+        if (!Array.isArray(levelDef.waves) || levelDef.waves.length === 0) return null;
+        let time = 0;
+        const entries = levelDef.waves.map(wave => {
+            time += wave.delay || 0;
+            return { time, wave };
+        });
+        return { entries, end: time };
+    },
+
+    rollPowerup(rng) {
+        return rng.pick(ShooterRules.powerupTypes);
+    },
+
+    enemyHealth(level, ufo) {
+        return ufo ? 60 + level * 15 : 40 + level * 10;
+    },
+
+    // Asteroids and mines can be shot down, other hazards absorb bullets
+    isDestructible(key) {
+        return key === 'asteroid' || key === 'mine';
+    },
+
+    bulletsPerShot(weaponLevel) {
+        return weaponLevel >= 3 ? 5 : (weaponLevel >= 2 ? 3 : 1);
+    },
+
+    // Defeat bonus from a level's boss definition (LEVELS.shooter[i].boss)
+    bossPoints(levelDef) {
+        return (levelDef.boss && levelDef.boss.points) || 0;
+    },
+
+    // Damage multiplier for weak-point hits, 0 when the boss has no weak point
+    weakPointMultiplier(levelDef) {
+        const weakPoint = levelDef.boss && levelDef.boss.weakPoint;
+        return weakPoint ? weakPoint.multiplier : 0;
+    },
+
+    // Replays a run log against the rules. cfg is getGameConfig(difficulty, 'shooter')
+    // with any daily modifiers; bounds are the adaptive difficulty scale limits,
+    // which stretch spawn timers.
+    // Returns { ok, score } or { ok: false, error }.
+    verify(seed, log, cfg, bounds = { minScale: 1, maxScale: 1 }) {
+        const shooter = cfg.shooter;
+        const minSpawnGap = shooter.enemySpawnRate / bounds.maxScale;
+        const minPowerupGap = ShooterRules.powerupInterval * bounds.minScale;
+        const fail = (error, entry) => ({ ok: false, error: `${error} at ${JSON.stringify(entry)}` });
+
+        let score = 0;
+        let scoreAtLevelStart = 0;
+        let level = null;
+        let s = null;
+
+        const startLevel = (index, time) => {
+            const streams = ShooterRules.streams(seed, index);
+            s = {
+                startedAt: time,
+                streams,
+                enemies: [],        // remaining health per spawned enemy
+                hazards: [],        // { key, destroyed, time } per spawned hazard
+                enemyTimes: [],     // spawn time of each scripted enemy
+                scriptEnd: 0,
+                powerups: [],       // { type, collected } per power-up
+                kills: 0,
+                bossHealth: cfg.levels[index].bossHealth || 0,
+                bossDead: false,
+                weapon: 1,
+                bullets: 0,
+                hits: 0,
+                lastShot: -Infinity
+            };
+            level = index;
+
+            // Scripted waves come first
+            const timeline = ShooterRules.waveTimeline(cfg.levels[index]);
+            if (!timeline) return;
+            timeline.entries.forEach(({ time: at, wave }) => {
+                for (let i = 0; wave.enemy && i < wave.count; i++) {
+                    s.enemies.push(ShooterRules.enemyHealth(index, wave.enemy === 'ufo'));
+                    s.enemyTimes.push(at);
+                }
+                for (let i = 0; wave.hazards && i < wave.hazards.count; i++) {
+                    s.hazards.push({ key: wave.hazards.kind, destroyed: false, time: at });
+                }
+            });
+            s.scriptEnd = timeline.end;
+        };
+
+        // Highest enemy index that can exist `elapsed` ms into the level: the
+        // script's, then one per spawn interval once the random spawner starts
+        const maxEnemyIndex = elapsed => {
+            const scripted = s.enemyTimes.length;
+            if (elapsed < s.scriptEnd) return scripted - 1;
+            return scripted + (elapsed - s.scriptEnd) / minSpawnGap + 1;
+        };
+
+        // Roll spawns up to the requested enemy or hazard index
+        const rollEnemiesUntil = done => {
+            while (!done()) {
+                if (s.enemies.length > 10000) return false;
+                const roll = ShooterRules.rollSpawn(s.streams.enemies, shooter);
+                s.enemies.push(ShooterRules.enemyHealth(level, roll.ufo));
+                if (roll.hazard) s.hazards.push({ key: roll.hazard.key, destroyed: false });
+            }
+            return true;
+        };
+
+        const cleared = () => {
+            const def = cfg.levels[level];
+            return def.bossHealth ? s.bossDead : s.kills >= def.enemyCount;
+        };
+
+        for (const entry of log) {
+            if (!Array.isArray(entry) || typeof entry[0] !== 'number' || typeof entry[1] !== 'string') {
+                return fail('Malformed entry', entry);
+            }
+            const [time, code, arg] = entry;
+
+            if (code === 'L') {
+                if (!Number.isInteger(arg) || !cfg.levels[arg]) return fail('Unknown level', entry);
+                if (level === null) {
+                    // Runs are only scored from the first level (a continued run
+                    // carries its log from there)
+                    if (arg !== 0) return fail('Run must start at level 1', entry);
+                    score = 0;
+                } else if (arg === level) {
+                    // Restart of the current level
+                    score = scoreAtLevelStart;
+                } else if (arg !== level + 1 || !cleared()) {
+                    return fail('Level skipped', entry);
+                }
+                scoreAtLevelStart = score;
+                startLevel(arg, time);
+                continue;
+            }
+            if (level === null) return fail('Log must start with a level', entry);
+            const elapsed = time - s.startedAt;
+
+            switch (code) {
+                case 'F': {
+                    if (!Number.isInteger(arg) || arg < 1 || arg > s.weapon) return fail('Weapon level too high', entry);
+                    if (time - s.lastShot < shooter.fireRate * 0.9) return fail('Firing too fast', entry);
+                    s.lastShot = time;
+                    s.bullets += ShooterRules.bulletsPerShot(arg);
+                    break;
+                }
+                case 'E': {
+                    if (!Number.isInteger(arg) || arg < 0) return fail('Bad enemy', entry);
+                    const early = arg < s.enemyTimes.length ? elapsed + 1 < s.enemyTimes[arg] : arg > maxEnemyIndex(elapsed);
+                    if (early) return fail('Enemy not spawned yet', entry);
+                    rollEnemiesUntil(() => s.enemies.length > arg);
+                    if (s.enemies[arg] <= 0) return fail('Enemy already destroyed', entry);
+                    if (++s.hits > s.bullets) return fail('More hits than bullets', entry);
+                    s.enemies[arg] -= shooter.bulletDamage;
+                    if (s.enemies[arg] <= 0) {
+                        score += ShooterRules.points.enemy;
+                        s.kills++;
+                    }
+                    break;
+                }
+                case 'H': {
+                    if (!Number.isInteger(arg) || arg < 0) return fail('Bad hazard', entry);
+                    const spawned = rollEnemiesUntil(() => s.hazards.length > arg ||
+                        s.enemies.length > maxEnemyIndex(elapsed));
+                    const hazard = s.hazards[arg];
+                    if (!spawned || !hazard || elapsed + 1 < (hazard.time || 0)) return fail('Hazard not spawned yet', entry);
+                    if (hazard.destroyed || !ShooterRules.isDestructible(hazard.key)) return fail('Hazard cannot be destroyed', entry);
+                    if (++s.hits > s.bullets) return fail('More hits than bullets', entry);
+                    hazard.destroyed = true;
+                    score += ShooterRules.points.hazard;
+                    break;
+                }
+                case 'P': {
+                    if (!Number.isInteger(arg) || arg < 0) return fail('Bad power-up', entry);
+                    if (!shooter.powerups) return fail('Power-ups are disabled', entry);
+                    if (arg >= elapsed / minPowerupGap) return fail('Power-up not spawned yet', entry);
+                    while (s.powerups.length <= arg) {
+                        s.powerups.push({ type: ShooterRules.rollPowerup(s.streams.powerups), collected: false });
+                    }
+                    const powerup = s.powerups[arg];
+                    if (powerup.collected) return fail('Power-up already collected', entry);
+                    powerup.collected = true;
+                    if (powerup.type === 'powerup_weapon') s.weapon = Math.min(3, s.weapon + 1);
+                    score += ShooterRules.points.powerup;
+                    break;
+                }
+                case 'B':
+                case 'W': {
+                    const def = cfg.levels[level];
+                    const multiplier = code === 'W' ? ShooterRules.weakPointMultiplier(def) : 1;
+                    if (!s.bossHealth || s.bossDead) return fail('No boss to hit', entry);
+                    if (!multiplier) return fail('Boss has no weak point', entry);
+                    if (++s.hits > s.bullets) return fail('More hits than bullets', entry);
+                    s.bossHealth -= shooter.bulletDamage * multiplier;
+                    if (s.bossHealth <= 0) {
+                        s.bossDead = true;
+                        score += ShooterRules.bossPoints(def);
+                    }
+                    break;
+                }
+                default:
+                    return fail('Unknown event', entry);
+            }
+        }
+
+        return { ok: true, score };
+    }
+};
+
+// ============================================
+// DAILY CHALLENGE
+// ============================================
+// One shooter run per UTC day shared by every player. The seed comes from the
+// date and the modifier set from the seed, so the game and server.js agree on
+// both without talking to each other.
+const DailyChallenge = {
+    // 'DAILY-20261019'
+    seedFor(date = new Date()) {
+        return 'DAILY-' + date.toISOString().slice(0, 10).replace(/-/g, '');
+    },
+
+    // 'YYYY-MM-DD' for a daily seed, null for any other seed
+    dateOf(seed) {
+        const m = /^DAILY-(\d{4})(\d{2})(\d{2})$/.exec(seed);
+        return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+    },
+
+    // sets is DAILY_CHALLENGE.modifierSets. Returns { seed, date, modifiers } or null
+    forSeed(seed, sets) {
+        const date = DailyChallenge.dateOf(seed);
+        if (!date) return null;
+        const modifiers = new SeededRandom(seed).stream('modifiers').pick(sets);
+        return { seed, date, modifiers };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, ShooterRules, DailyChallenge };
+}
@@ -131,6 +131,104 @@ class SpriteGenerator {
         return canvas.toDataURL();
     }
 
+    // Tileable parallax background layer for the runner.
+    // style: 'hills' | 'mesas' | 'trees' | 'cacti' | 'stars' | 'ridge'
+    static createParallaxLayer(width = 512, height = 200, style = 'hills', color = '#3a6b35') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = color;
+
+        // Whole-number wave counts keep the left and right edges matching
+        const wave = (x, parts) => parts.reduce((sum, [k, amp, phase]) =>
+            sum + Math.sin((x / width) * Math.PI * 2 * k + phase) * amp, 0);
+
+        switch (style) {
+            case 'hills':
+            case 'ridge': {
+                const parts = style === 'hills'
+                    ? [[2, height * 0.18, 0.3], [3, height * 0.1, 1.7], [5, height * 0.05, 0.9]]
+                    : [[3, height * 0.2, 0.5], [7, height * 0.1, 2.1], [13, height * 0.06, 1.1]];
+                ctx.beginPath();
+                ctx.moveTo(0, height);
+                for (let x = 0; x <= width; x += 4) {
+                    ctx.lineTo(x, height * 0.55 - wave(x, parts));
+                }
+                ctx.lineTo(width, height);
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+
+            case 'mesas': {
+                ctx.fillRect(0, height * 0.85, width, height * 0.15);
+                const mesas = [[0.05, 0.22, 0.45], [0.38, 0.18, 0.3], [0.66, 0.26, 0.55]];
+                mesas.forEach(([x, w, h]) => {
+                    const left = x * width;
+                    const right = (x + w) * width;
+                    const top = height * (1 - h);
+                    ctx.beginPath();
+                    ctx.moveTo(left - 14, height);
+                    ctx.lineTo(left, top);
+                    ctx.lineTo(right, top);
+                    ctx.lineTo(right + 14, height);
+                    ctx.closePath();
+                    ctx.fill();
+                });
+                ctx.fillStyle = this.lightenColor(color, 12);
+                mesas.forEach(([x, w, h]) => ctx.fillRect(x * width, height * (1 - h), w * width, 4));
+                break;
+            }
+
+            case 'trees': {
+                ctx.fillRect(0, height * 0.8, width, height * 0.2);
+                const count = Math.round(width / 40);
+                for (let i = 0; i < count; i++) {
+                    const x = (i + 0.5) * (width / count);
+                    const h = height * (0.45 + 0.3 * ((Math.sin(i * 2.3) + 1) / 2));
+                    const w = h * 0.35;
+                    ctx.beginPath();
+                    ctx.moveTo(x, height - h);
+                    ctx.lineTo(x - w, height * 0.85);
+                    ctx.lineTo(x + w, height * 0.85);
+                    ctx.closePath();
+                    ctx.fill();
+                }
+                break;
+            }
+
+            case 'cacti': {
+                ctx.fillRect(0, height * 0.9, width, height * 0.1);
+                const count = Math.round(width / 120);
+                for (let i = 0; i < count; i++) {
+                    const x = (i + 0.3) * (width / count);
+                    const h = height * (0.35 + 0.2 * ((Math.sin(i * 1.7) + 1) / 2));
+                    this.roundRect(ctx, x - 5, height - h, 10, h, 5);
+                    this.roundRect(ctx, x - 16, height - h * 0.7, 6, h * 0.3, 3);
+                    ctx.fillRect(x - 12, height - h * 0.45, 8, 5);
+                    this.roundRect(ctx, x + 10, height - h * 0.8, 6, h * 0.35, 3);
+                    ctx.fillRect(x + 4, height - h * 0.5, 8, 5);
+                }
+                break;
+            }
+
+            case 'stars': {
+                for (let i = 0; i < width * height / 400; i++) {
+                    const r = Math.random() * 1.4 + 0.3;
+                    ctx.globalAlpha = 0.4 + Math.random() * 0.6;
+                    ctx.beginPath();
+                    ctx.arc(Math.random() * width, Math.random() * height, r, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+                ctx.globalAlpha = 1;
+                break;
+            }
+        }
+
+        return canvas.toDataURL();
+    }
+
     // ============================================
     // PLAYER SPRITES
     // ============================================
@@ -677,6 +775,159 @@ class SpriteGenerator {
         return canvas.toDataURL();
     }
 
+    // Rock (runner obstacle)
+    static createRock(width = 40, height = 32, color = '#6b6b6b') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(2, height);
+        ctx.lineTo(4, height * 0.45);
+        ctx.lineTo(width * 0.3, height * 0.1);
+        ctx.lineTo(width * 0.65, 2);
+        ctx.lineTo(width - 4, height * 0.4);
+        ctx.lineTo(width - 2, height);
+        ctx.closePath();
+        ctx.fill();
+
+        // Highlight and crack
+        ctx.fillStyle = this.lightenColor(color, 20);
+        ctx.beginPath();
+        ctx.moveTo(width * 0.3, height * 0.1);
+        ctx.lineTo(width * 0.65, 2);
+        ctx.lineTo(width * 0.55, height * 0.35);
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = this.darkenColor(color, 30);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(width * 0.55, height * 0.35);
+        ctx.lineTo(width * 0.45, height * 0.7);
+        ctx.stroke();
+
+        return canvas.toDataURL();
+    }
+
+    // Fallen log (runner obstacle)
+    static createLog(width = 48, height = 24, color = '#7c4a1e') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        ctx.fillStyle = color;
+        this.roundRect(ctx, 2, 2, width - 4, height - 4, height / 2 - 2);
+
+        // Bark lines
+        ctx.strokeStyle = this.darkenColor(color, 25);
+        ctx.lineWidth = 1;
+        for (let y = 7; y < height - 4; y += 5) {
+            ctx.beginPath();
+            ctx.moveTo(8, y);
+            ctx.lineTo(width - 12, y);
+            ctx.stroke();
+        }
+
+        // Cut end rings
+        ctx.fillStyle = '#d6a96b';
+        this.ellipse(ctx, width - height / 2, height / 2, height / 2 - 4, height / 2 - 3);
+        ctx.strokeStyle = this.darkenColor('#d6a96b', 25);
+        ctx.beginPath();
+        ctx.ellipse(width - height / 2, height / 2, height / 4, height / 4, 0, 0, Math.PI * 2);
+        ctx.stroke();
+
+        return canvas.toDataURL();
+    }
+
+    // Cactus (runner obstacle)
+    static createCactus(width = 32, height = 56, color = '#3f7d3a') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const cx = width / 2;
+
+        ctx.fillStyle = color;
+        // Trunk
+        this.roundRect(ctx, cx - 5, 4, 10, height - 4, 5);
+        // Arms
+        this.roundRect(ctx, 2, height * 0.3, 6, height * 0.3, 3);
+        ctx.fillRect(4, height * 0.5, cx - 4, 5);
+        this.roundRect(ctx, width - 8, height * 0.2, 6, height * 0.3, 3);
+        ctx.fillRect(cx, height * 0.4, cx - 4, 5);
+
+        // Ribs
+        ctx.fillStyle = this.lightenColor(color, 20);
+        ctx.fillRect(cx - 1, 8, 2, height - 12);
+
+        return canvas.toDataURL();
+    }
+
+    // Crystal spike (runner obstacle)
+    static createCrystal(width = 32, height = 48, color = '#a78bfa') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const shards = [
+            { x: width * 0.5, w: width * 0.22, h: height - 2 },
+            { x: width * 0.25, w: width * 0.18, h: height * 0.6 },
+            { x: width * 0.75, w: width * 0.18, h: height * 0.7 }
+        ];
+        shards.forEach((s, i) => {
+            ctx.fillStyle = i === 0 ? color : this.darkenColor(color, 15);
+            ctx.beginPath();
+            ctx.moveTo(s.x - s.w, height);
+            ctx.lineTo(s.x, height - s.h);
+            ctx.lineTo(s.x + s.w, height);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        // Glint
+        ctx.fillStyle = this.lightenColor(color, 40);
+        ctx.fillRect(width * 0.5 - 1, height * 0.25, 2, height * 0.4);
+
+        return canvas.toDataURL();
+    }
+
+    // Hanging barrier (runner overhead obstacle - slide under it)
+    static createHangingBarrier(width = 48, height = 520, color = '#8b5e34') {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const cx = width / 2;
+        const beamH = 36;
+
+        // Chains
+        ctx.fillStyle = '#9ca3af';
+        for (let y = 0; y < height - beamH; y += 10) {
+            ctx.fillRect(cx - 14, y, 4, 7);
+            ctx.fillRect(cx + 10, y + 5, 4, 7);
+        }
+
+        // Beam with hazard stripes
+        ctx.fillStyle = color;
+        this.roundRect(ctx, 1, height - beamH, width - 2, beamH - 2, 4);
+        ctx.fillStyle = '#facc15';
+        for (let x = -beamH; x < width; x += 14) {
+            ctx.beginPath();
+            ctx.moveTo(x, height - 4);
+            ctx.lineTo(x + 7, height - 4);
+            ctx.lineTo(x + 7 + beamH - 8, height - beamH + 2);
+            ctx.lineTo(x + beamH - 8, height - beamH + 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        return canvas.toDataURL();
+    }
+
     // Tower (for strategy)
     static createTower(size = 48, color = '#4a90d9') {
         const canvas = document.createElement('canvas');
@@ -718,6 +969,162 @@ class SpriteGenerator {
         return canvas.toDataURL();
     }
 
+    // Gem (maze collectible)
+    static createGem(size = 32, color = '#38bdf8') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const cx = size / 2;
+
+        // Crown
+        ctx.fillStyle = this.lightenColor(color, 25);
+        ctx.beginPath();
+        ctx.moveTo(size * 0.25, size * 0.2);
+        ctx.lineTo(size * 0.75, size * 0.2);
+        ctx.lineTo(size * 0.9, size * 0.38);
+        ctx.lineTo(size * 0.1, size * 0.38);
+        ctx.closePath();
+        ctx.fill();
+
+        // Pavilion
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(size * 0.1, size * 0.38);
+        ctx.lineTo(size * 0.9, size * 0.38);
+        ctx.lineTo(cx, size * 0.88);
+        ctx.closePath();
+        ctx.fill();
+
+        // Facet
+        ctx.fillStyle = this.darkenColor(color, 20);
+        ctx.beginPath();
+        ctx.moveTo(cx, size * 0.38);
+        ctx.lineTo(size * 0.9, size * 0.38);
+        ctx.lineTo(cx, size * 0.88);
+        ctx.closePath();
+        ctx.fill();
+
+        // Sparkle
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(size * 0.32, size * 0.25, 3, 3);
+
+        return canvas.toDataURL();
+    }
+
+    // Key (maze collectible)
+    static createKey(size = 32, color = '#facc15') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const cy = size / 2;
+
+        // Bow
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(size * 0.28, cy, size * 0.16, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Shaft
+        ctx.fillStyle = color;
+        ctx.fillRect(size * 0.42, cy - 2, size * 0.48, 4);
+
+        // Teeth
+        ctx.fillRect(size * 0.72, cy, 4, size * 0.16);
+        ctx.fillRect(size * 0.84, cy, 4, size * 0.12);
+
+        // Highlight
+        ctx.fillStyle = this.lightenColor(color, 40);
+        ctx.fillRect(size * 0.45, cy - 2, size * 0.3, 1);
+
+        return canvas.toDataURL();
+    }
+
+    // Star (maze collectible)
+    static createStar(size = 32, color = '#fde047') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const cx = size / 2, cy = size / 2;
+        const outer = size / 2 - 2;
+        const inner = outer * 0.45;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        for (let i = 0; i < 10; i++) {
+            const r = i % 2 === 0 ? outer : inner;
+            const ang = -Math.PI / 2 + (i * Math.PI) / 5;
+            const x = cx + Math.cos(ang) * r;
+            const y = cy + Math.sin(ang) * r;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+        ctx.fill();
+
+        // Glow core
+        ctx.fillStyle = this.lightenColor(color, 40);
+        ctx.beginPath();
+        ctx.arc(cx, cy, inner * 0.6, 0, Math.PI * 2);
+        ctx.fill();
+
+        return canvas.toDataURL();
+    }
+
+    // Heart (maze collectible)
+    static createHeart(size = 32, color = '#f43f5e') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const cx = size / 2;
+        const top = size * 0.3;
+
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(cx, size * 0.85);
+        ctx.bezierCurveTo(size * 0.05, size * 0.55, size * 0.1, size * 0.1, cx, top);
+        ctx.bezierCurveTo(size * 0.9, size * 0.1, size * 0.95, size * 0.55, cx, size * 0.85);
+        ctx.fill();
+
+        // Shine
+        ctx.fillStyle = this.lightenColor(color, 40);
+        this.ellipse(ctx, size * 0.33, size * 0.33, 3, 2);
+
+        return canvas.toDataURL();
+    }
+
+    // Treasure chest (maze collectible)
+    static createChest(size = 32, color = '#92400e') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        // Body
+        ctx.fillStyle = color;
+        this.roundRect(ctx, 3, size * 0.4, size - 6, size * 0.5, 2);
+
+        // Lid
+        ctx.fillStyle = this.lightenColor(color, 15);
+        this.roundRect(ctx, 3, size * 0.18, size - 6, size * 0.25, 5);
+
+        // Gold bands
+        ctx.fillStyle = '#ffd700';
+        ctx.fillRect(3, size * 0.4, size - 6, 2);
+        ctx.fillRect(size * 0.25, size * 0.18, 2, size * 0.72);
+        ctx.fillRect(size * 0.75 - 2, size * 0.18, 2, size * 0.72);
+
+        // Lock
+        ctx.fillRect(size / 2 - 3, size * 0.36, 6, 7);
+        ctx.fillStyle = '#1a1a2e';
+        ctx.fillRect(size / 2 - 1, size * 0.4, 2, 3);
+
+        return canvas.toDataURL();
+    }
+
     // ============================================
     // SPACE PROPS & OBJECTS
     // ============================================
@@ -909,42 +1316,58 @@ class SpriteGenerator {
             const canvas = document.createElement('canvas');
             canvas.width = size;
             canvas.height = size;
-            const ctx = canvas.getContext('2d');
-            const cx = size / 2, cy = size / 2;
-            const progress = f / (frames - 1);
-            const radius = size * 0.15 + size * 0.35 * progress;
-            const alpha = 1 - progress * 0.8;
-
-            // Outer glow
-            const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius * 1.5);
-            glow.addColorStop(0, `rgba(255, 200, 50, ${alpha})`);
-            glow.addColorStop(0.4, `rgba(255, 100, 20, ${alpha * 0.7})`);
-            glow.addColorStop(0.7, `rgba(200, 50, 0, ${alpha * 0.4})`);
-            glow.addColorStop(1, 'transparent');
-            ctx.fillStyle = glow;
-            ctx.fillRect(0, 0, size, size);
+            this.drawExplosionFrame(canvas.getContext('2d'), size, f / (frames - 1));
+            images.push(canvas.toDataURL());
+        }
+        return images;
+    }
 
-            // Core
-            if (progress < 0.6) {
-                ctx.fillStyle = `rgba(255, 255, 200, ${alpha})`;
-                ctx.beginPath();
-                ctx.arc(cx, cy, radius * 0.3, 0, Math.PI * 2);
-                ctx.fill();
-            }
+    // The same frames side by side, for a Phaser spritesheet
+    static createExplosionSheet(size = 64, frames = 6) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size * frames;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        for (let f = 0; f < frames; f++) {
+            ctx.save();
+            ctx.translate(f * size, 0);
+            this.drawExplosionFrame(ctx, size, f / (frames - 1));
+            ctx.restore();
+        }
+        return canvas.toDataURL();
+    }
 
-            // Debris particles
-            ctx.fillStyle = `rgba(255, 150, 50, ${alpha * 0.8})`;
-            for (let i = 0; i < 8; i++) {
-                const ang = (i / 8) * Math.PI * 2 + progress;
-                const dist = radius * (0.6 + Math.random() * 0.4);
-                ctx.beginPath();
-                ctx.arc(cx + Math.cos(ang) * dist, cy + Math.sin(ang) * dist, 2 + Math.random() * 2, 0, Math.PI * 2);
-                ctx.fill();
-            }
+    static drawExplosionFrame(ctx, size, progress) {
+        const cx = size / 2, cy = size / 2;
+        const radius = size * 0.15 + size * 0.35 * progress;
+        const alpha = 1 - progress * 0.8;
 
-            images.push(canvas.toDataURL());
+        // Outer glow
+        const glow = ctx.createRadialGradient(cx, cy, 0, cx, cy, radius * 1.5);
+        glow.addColorStop(0, `rgba(255, 200, 50, ${alpha})`);
+        glow.addColorStop(0.4, `rgba(255, 100, 20, ${alpha * 0.7})`);
+        glow.addColorStop(0.7, `rgba(200, 50, 0, ${alpha * 0.4})`);
+        glow.addColorStop(1, 'transparent');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        // Core
+        if (progress < 0.6) {
+            ctx.fillStyle = `rgba(255, 255, 200, ${alpha})`;
+            ctx.beginPath();
+            ctx.arc(cx, cy, radius * 0.3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        // Debris particles
+        ctx.fillStyle = `rgba(255, 150, 50, ${alpha * 0.8})`;
+        for (let i = 0; i < 8; i++) {
+            const ang = (i / 8) * Math.PI * 2 + progress;
+            const dist = radius * (0.6 + Math.random() * 0.4);
+            ctx.beginPath();
+            ctx.arc(cx + Math.cos(ang) * dist, cy + Math.sin(ang) * dist, 2 + Math.random() * 2, 0, Math.PI * 2);
+            ctx.fill();
         }
-        return images;
     }
 
     // Power-up: Shield
@@ -1290,6 +1713,135 @@ class SpriteGenerator {
         return canvas.toDataURL();
     }
 
+    // Boss hull (top-down): armoured hexagon with side pylons and an empty core
+    // socket in the middle (the weak point is a separate sprite on top)
+    static createBoss(size = 128, colors = {}) {
+        const hull = colors.hull || '#4c1d95';
+        const trim = colors.trim || '#a78bfa';
+        const glow = colors.glow || '#00e5ff';
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const c = size / 2;
+
+        // Aura
+        const aura = ctx.createRadialGradient(c, c, size * 0.2, c, c, c);
+        aura.addColorStop(0, glow + '40');
+        aura.addColorStop(1, 'transparent');
+        ctx.fillStyle = aura;
+        ctx.fillRect(0, 0, size, size);
+
+        // Side pylons
+        ctx.fillStyle = this.darkenColor(hull, 15);
+        this.roundRect(ctx, size * 0.04, c - size * 0.08, size * 0.2, size * 0.3, 4);
+        this.roundRect(ctx, size * 0.76, c - size * 0.08, size * 0.2, size * 0.3, 4);
+        ctx.fillStyle = glow;
+        ctx.fillRect(size * 0.09, c + size * 0.16, size * 0.1, size * 0.04);
+        ctx.fillRect(size * 0.81, c + size * 0.16, size * 0.1, size * 0.04);
+
+        // Hexagonal hull
+        ctx.fillStyle = hull;
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const ang = Math.PI / 6 + (i / 6) * Math.PI * 2;
+            const x = c + Math.cos(ang) * size * 0.36;
+            const y = c + Math.sin(ang) * size * 0.36;
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.strokeStyle = trim;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+
+        // Armour ring
+        ctx.strokeStyle = this.lightenColor(hull, 20);
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(c, c, size * 0.22, 0, Math.PI * 2);
+        ctx.stroke();
+
+        // Cannons pointing down
+        ctx.fillStyle = this.darkenColor(hull, 25);
+        ctx.fillRect(c - size * 0.2, c + size * 0.22, size * 0.07, size * 0.16);
+        ctx.fillRect(c + size * 0.13, c + size * 0.22, size * 0.07, size * 0.16);
+
+        // Core socket
+        ctx.fillStyle = '#0d0518';
+        ctx.beginPath();
+        ctx.arc(c, c, size * 0.13, 0, Math.PI * 2);
+        ctx.fill();
+
+        return canvas.toDataURL();
+    }
+
+    // Boss weak point: bright core inside a ring
+    static createBossCore(size = 32, color = '#00e5ff') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const c = size / 2;
+
+        const glow = ctx.createRadialGradient(c, c, 0, c, c, c);
+        glow.addColorStop(0, '#ffffff');
+        glow.addColorStop(0.4, color);
+        glow.addColorStop(1, 'transparent');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        ctx.strokeStyle = this.lightenColor(color, 40);
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(c, c, size * 0.38, 0, Math.PI * 2);
+        ctx.stroke();
+
+        return canvas.toDataURL();
+    }
+
+    // Enemy projectile (glowing orb)
+    static createEnemyShot(size = 12, color = '#ff3366') {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const c = size / 2;
+
+        // Glow
+        const glow = ctx.createRadialGradient(c, c, 0, c, c, c);
+        glow.addColorStop(0, color);
+        glow.addColorStop(1, 'transparent');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        // Hot core
+        ctx.fillStyle = this.lightenColor(color, 60);
+        ctx.beginPath();
+        ctx.arc(c, c, size * 0.22, 0, Math.PI * 2);
+        ctx.fill();
+
+        return canvas.toDataURL();
+    }
+
+    // Soft white dot for particle emitters (tinted per effect)
+    static createParticle(size = 8) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        const c = size / 2;
+
+        const glow = ctx.createRadialGradient(c, c, 0, c, c, c);
+        glow.addColorStop(0, '#ffffff');
+        glow.addColorStop(0.5, 'rgba(255, 255, 255, 0.7)');
+        glow.addColorStop(1, 'transparent');
+        ctx.fillStyle = glow;
+        ctx.fillRect(0, 0, size, size);
+
+        return canvas.toDataURL();
+    }
+
     // ============================================
     // UTILITY METHODS
     // ============================================